@@ -1,11 +1,14 @@
 // @ts-check
 import { defineConfig } from 'astro/config';
-import { remarkWikiLink } from './src/plugins/remark-wiki-link.js';
+import { contentMapIntegration } from './src/integrations/content-map.js';
 
 // https://astro.build/config
 export default defineConfig({
   site: 'https://dwaynemcyrus.com',
-  markdown: {
-    remarkPlugins: [remarkWikiLink],
+  // Posts live at /posts/<slug>/; their list is the blog
+  redirects: {
+    '/posts/': '/blog/',
   },
+  // Generates src/data/content-map.json and registers the remark wiki-link plugin
+  integrations: [contentMapIntegration()],
 });
@@ -4,26 +4,183 @@
 import { defineCollection, z } from 'astro:content';
 
 // 2. Import loader(s)
-import { glob, file } from 'astro/loaders';
+import { glob, file, type Loader, type DataStore } from 'astro/loaders';
+import { VAULT_LOADER_NAME, collectionDir } from './lib/collections.js';
 
-// 3. Define your collection(s)
+// Shared frontmatter normalization — the content-map generator
+// (src/scripts/generate-content-map.mjs) reads fields with the same helpers.
+import {
+  normalizeLinkField,
+  normalizeOptionalString,
+  normalizeString,
+  normalizeStringList,
+  slugifyContentPath,
+} from './lib/frontmatter.js';
+import { normalizeTags } from './lib/tags.js';
+import { VISIBILITIES, isPublished, previewDrafts, readPublishing } from './lib/publishing.js';
+import {
+  PROJECT_STATUS_VALUES,
+  normalizeProjectStatus,
+  normalizeStack,
+} from './lib/projects.js';
+
+// 3. Define your schema(s)
+
+// "" / missing / non-string -> undefined
+const optionalText = z.preprocess(
+  (value) => normalizeString(value) || undefined,
+  z.string().optional()
+);
+
+// Obsidian leaves empty keys (`dateUpdated:`) as null; treat them as unset.
+const optionalDate = z.preprocess(
+  (value) => (value === null || value === '' ? undefined : value),
+  z.coerce.date().optional()
+);
+
+// "a, b" or ["a", "b"] -> ["a", "b"]
+const stringList = z.preprocess(normalizeStringList, z.array(z.string()));
+
+// "#AI/LLM, Zettlekasten" -> ["ai/llm", "zettelkasten"] (see src/lib/tags.js)
+const tagList = z.preprocess(normalizeTags, z.array(z.string()));
+
+// Frontmatter fields holding wiki-links (resources, source, chains)
+const linkList = z.preprocess(normalizeLinkField, z.array(z.string()));
+
+const contentSchema = z.object({
+  title: optionalText,
+  description: z.preprocess(normalizeString, z.string()),
+  date: optionalDate,
+  dateUpdated: optionalDate,
+  author: optionalText,
+  tags: tagList,
+  aliases: stringList,
+  cuid: z.preprocess(normalizeOptionalString, z.string().nullable()),
+  status: z.preprocess(
+    (value) => normalizeString(value).toLowerCase() || undefined,
+    z.string().optional()
+  ),
+  draft: z.boolean().default(false),
+  // Publishing workflow, see src/lib/publishing.js
+  publishAt: optionalDate,
+  visibility: z.preprocess(
+    (value) => normalizeString(value).toLowerCase() || 'public',
+    z.enum(VISIBILITIES)
+  ),
+  resources: linkList,
+  source: linkList,
+  chains: linkList,
+});
+
+// Projects add what the status board and project pages show (see
+// src/lib/projects.js). `status` stays the publishing status too, so
+// "draft" / "published" are accepted alongside the project ones.
+const projectSchema = contentSchema.extend({
+  status: z.preprocess(
+    (value) => normalizeProjectStatus(value) || undefined,
+    z.enum(PROJECT_STATUS_VALUES).optional()
+  ),
+  stack: z.preprocess(normalizeStack, z.array(z.string())),
+  repo: optionalText.pipe(z.string().url().optional()),
+  role: optionalText,
+  dateStarted: optionalDate,
+  dateFinished: optionalDate,
+});
+
+// Blog posts (src/posts, see REPO_COLLECTIONS in src/lib/collections.js)
+// came from Astro's tutorial: `pubDate` instead of `date`, and a cover
+// image. `date` falls back to `pubDate` so feeds, tags and page metadata
+// treat posts like every other collection.
+const postSchema = contentSchema
+  .extend({
+    pubDate: z.coerce.date(),
+    image: z
+      .object({
+        url: z.string(),
+        alt: z.preprocess(normalizeString, z.string()),
+      })
+      .optional(),
+  })
+  .transform((data) => ({ ...data, date: data.date ?? data.pubDate }));
+
+// Drafts and scheduled entries are kept only when previewing (`astro dev`),
+// private ones never. The content-map integration sets the flag, so the
+// loaders and the generator agree. Entries cached by an earlier dev session
+// are re-read so a build drops them.
+const isShown = (data: Record<string, unknown>) =>
+  isPublished(readPublishing(data), { drafts: previewDrafts() });
+
+function publishedOnly(store: DataStore): DataStore {
+  return {
+    ...store,
+    get: <TData extends Record<string, unknown>>(id: string) => {
+      const entry = store.get<TData>(id);
+      return entry && isShown(entry.data) ? entry : undefined;
+    },
+    set: (entry) => {
+      if (isShown(entry.data)) return store.set(entry);
+      store.delete(entry.id);
+      return false;
+    },
+  };
+}
+
+// Entry ids use the generator's slug rules so `entry.id` matches the
+// `slug` stored in content-map.json.
+//
+// In dev the content-map integration calls refreshContent() with
+// `{ staleEntries: { [collection]: ids[] } }` when a note's links change;
+// those entries are dropped and re-rendered with the new map.
+const vaultLoader = (collection: string): Loader => {
+  const inner = glob({
+    pattern: "**/[^_]*.md",
+    base: `./${collectionDir(collection)}`,
+    generateId: ({ entry }) => slugifyContentPath(entry),
+  });
+
+  return {
+    name: VAULT_LOADER_NAME,
+    load: async (loaderContext) => {
+      const context = { ...loaderContext, store: publishedOnly(loaderContext.store) };
+      const refresh = context.refreshContextData as
+        | { staleEntries?: Record<string, string[]> }
+        | undefined;
+      if (!refresh?.staleEntries) return inner.load(context);
+
+      const stale = refresh.staleEntries[collection] ?? [];
+      if (stale.length === 0) return;
+
+      for (const id of stale) context.store.delete(id);
+      // The glob loader registered its file watchers on the first load;
+      // don't attach them a second time.
+      return inner.load({ ...context, watcher: undefined });
+    },
+  };
+};
+
+// 4. Define your collection(s)
 
 const dogs = defineCollection({ /* ... */ });
 
 const essays = defineCollection({
-  loader: glob({ pattern: "**/[^_]*.md", base: "./src/content/essays" }),
-
+  loader: vaultLoader('essays'),
+  schema: contentSchema,
 });
 
 const notes = defineCollection({
-  loader: glob({ pattern: "**/[^_]*.md", base: "./src/content/notes" }),
+  loader: vaultLoader('notes'),
+  schema: contentSchema,
+});
 
+const posts = defineCollection({
+  loader: vaultLoader('posts'),
+  schema: postSchema,
 });
 
 const projects = defineCollection({
-  loader: glob({ pattern: "**/[^_]*.md", base: "./src/content/projects" }),
-
+  loader: vaultLoader('projects'),
+  schema: projectSchema,
 });
 
-// 4. Export a single `collections` object to register your collection(s)
-export const collections = { essays, notes, projects };
+// 5. Export a single `collections` object to register your collection(s)
+export const collections = { essays, notes, posts, projects };
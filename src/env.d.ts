@@ -0,0 +1,26 @@
+// Modules provided by src/integrations/content-map.js
+declare module 'virtual:content-map/private-notes' {
+  const notes: Array<{
+    id: string;
+    cuid: string | null;
+    slug: string;
+    collection: string;
+    title: string;
+    aliases: string[];
+  }>;
+  export default notes;
+}
+
+// Set up before first paint by the theme script in src/layouts/BaseLayout.astro
+type ThemePreference = 'light' | 'dark' | 'system';
+
+interface Window {
+  siteTheme: {
+    readonly preference: ThemePreference;
+    set(preference: ThemePreference): void;
+  };
+}
+
+interface DocumentEventMap {
+  themechange: CustomEvent<{ preference: ThemePreference; dark: boolean }>;
+}
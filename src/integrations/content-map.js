@@ -0,0 +1,323 @@
+// src/integrations/content-map.js
+// Astro integration that keeps src/data/content-map.json in sync with
+// src/content instead of relying on someone running `npm run genmap`.
+//
+//  - astro:config:setup  → generate the map, register remarkWikiLink,
+//                          redirect renamed notes (slug history); in dev,
+//                          add the /health report page and preview drafts
+//  - astro:server:setup  → regenerate on markdown changes (dev), re-render
+//                          affected entries and reload their pages; serve
+//                          vault attachments
+//  - astro:build:done    → copy vault attachments into the build output,
+//                          write sitemap.xml / robots.txt and check every
+//                          internal link (src/scripts/check-site.mjs)
+
+import { readFileSync } from 'node:fs';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { createHash } from 'node:crypto';
+import { fileURLToPath } from 'node:url';
+
+import {
+  ATTACHMENT_BASE_URL,
+  attachmentMime,
+  findAttachments,
+} from '../lib/attachments.js';
+
+import { REPO_COLLECTIONS, VAULT_LOADER_NAME } from '../lib/collections.js';
+import { LINK_HEALTH_CATEGORIES, healthCounts } from '../lib/health.js';
+import { setPreviewDrafts } from '../lib/publishing.js';
+import { redirectsFromHistory } from '../lib/slug-history.js';
+import { checkSite } from '../scripts/check-site.mjs';
+import { generateContentMap } from '../scripts/generate-content-map.mjs';
+import {
+  remarkWikiLink,
+  setWikiLinkContentMap,
+} from '../plugins/remark-wiki-link.js';
+
+const MARKDOWN_FILE = /\.(md|mdx)$/i;
+const REBUILD_DEBOUNCE_MS = 150;
+
+/**
+ * Private notes as a module (see src/lib/private-links.ts), so pages can
+ * recognise links into them without their titles ever touching disk.
+ */
+export const PRIVATE_NOTES_MODULE = 'virtual:content-map/private-notes';
+const RESOLVED_PRIVATE_NOTES = `\0${PRIVATE_NOTES_MODULE}`;
+
+/** Just what the wiki-link resolver needs */
+const privateNotes = (unpublished) =>
+  unpublished
+    .filter((node) => node.visibility === 'private')
+    .map(({ id, cuid, slug, collection, title, aliases }) => ({
+      id,
+      cuid,
+      slug,
+      collection,
+      title,
+      aliases,
+    }));
+
+/** @returns {import('vite').Plugin} */
+function privateNotesPlugin(getUnpublished) {
+  return {
+    name: 'content-map:private-notes',
+    resolveId: (id) => (id === PRIVATE_NOTES_MODULE ? RESOLVED_PRIVATE_NOTES : undefined),
+    load: (id) =>
+      id === RESOLVED_PRIVATE_NOTES
+        ? `export default ${JSON.stringify(privateNotes(getUnpublished()))};`
+        : undefined,
+  };
+}
+
+/**
+ * Digest of everything a render depends on besides its own file: the map
+ * itself, which unpublished files are private (links to them render
+ * differently), plus the text of every note that is embedded somewhere (a
+ * host page inlines it, so an edit there must invalidate the host's render).
+ */
+function digestOf(contentMap, contentRoot, unpublished) {
+  const hash = createHash('sha1').update(JSON.stringify(contentMap));
+  for (const node of unpublished) hash.update(`${node.id}:${node.visibility}`);
+
+  for (const node of contentMap) {
+    if (!node.inboundLinks.some((link) => link.kind === 'embed')) continue;
+    hash.update(node.filePath).update(readFileSync(path.join(contentRoot, node.filePath)));
+  }
+  return hash.digest('hex');
+}
+
+/**
+ * Entries whose content-map record changed between two generations,
+ * grouped by collection: { notes: ['slug-a', ...], ... }.
+ *
+ * A changed record covers every way a render's links can go stale: the
+ * entry's own title/aliases changed, or a link from/to it now resolves
+ * differently. Stale embedded content is handled by addEmbedders().
+ */
+function diffContentMaps(previous, next) {
+  const before = new Map(previous.map((n) => [n.id, JSON.stringify(n)]));
+  const stale = {};
+
+  for (const node of next) {
+    if (before.get(node.id) === JSON.stringify(node)) continue;
+    (stale[node.collection] ??= []).push(node.slug);
+  }
+  return stale;
+}
+
+/**
+ * Add every entry that (transitively) embeds one of the changed files,
+ * since their pages inline its content.
+ */
+function addEmbedders(stale, contentMap, changedFiles) {
+  const byId = new Map(contentMap.map((n) => [n.id, n]));
+  const queue = contentMap.filter((n) => changedFiles.has(n.filePath));
+  const seen = new Set(queue.map((n) => n.id));
+
+  while (queue.length > 0) {
+    const node = queue.shift();
+    for (const link of node.inboundLinks) {
+      if (link.kind !== 'embed' || seen.has(link.id)) continue;
+      seen.add(link.id);
+
+      const embedder = byId.get(link.id);
+      if (!embedder) continue;
+      queue.push(embedder);
+
+      const slugs = (stale[embedder.collection] ??= []);
+      if (!slugs.includes(embedder.slug)) slugs.push(embedder.slug);
+    }
+  }
+  return stale;
+}
+
+/**
+ * @returns {import('astro').AstroIntegration}
+ */
+export function contentMapIntegration() {
+  let root = process.cwd();
+  let contentRoot = path.join(root, 'src', 'content');
+  /** @type {any[]} */
+  let currentMap = [];
+  /** @type {any[]} */
+  let currentUnpublished = [];
+  // Drafts and scheduled notes get pages in dev only (src/lib/publishing.js)
+  let drafts = false;
+  /** @type {URL | string | undefined} */
+  let site;
+
+  return {
+    name: 'content-map',
+    hooks: {
+      'astro:config:setup': async ({ config, command, updateConfig, injectRoute, logger }) => {
+        root = fileURLToPath(config.root);
+        contentRoot = path.join(root, 'src', 'content');
+        drafts = command === 'dev';
+        setPreviewDrafts(drafts);
+        site = config.site;
+
+        const { contentMap, slugHistory, unpublished } = await generateContentMap({
+          root,
+          drafts,
+          log: (msg) => logger.info(msg),
+        });
+        currentMap = contentMap;
+        currentUnpublished = unpublished;
+        setWikiLinkContentMap(contentMap, unpublished);
+
+        // The digest is part of the Astro config, so a different map
+        // clears Astro's cached markdown renders on the next build.
+        // Old URLs of renamed notes redirect to where they live now; in
+        // dev, renames are picked up on the next restart.
+        updateConfig({
+          redirects: redirectsFromHistory(slugHistory, contentMap),
+          vite: { plugins: [privateNotesPlugin(() => currentUnpublished)] },
+          markdown: {
+            remarkPlugins: [
+              [
+                remarkWikiLink,
+                {
+                  contentRoot,
+                  contentMapDigest: digestOf(contentMap, contentRoot, unpublished),
+                },
+              ],
+            ],
+          },
+        });
+
+        // content-health.json as a page; never part of the build
+        if (command === 'dev') {
+          injectRoute({
+            pattern: '/health',
+            entrypoint: fileURLToPath(new URL('../pages/_health.astro', import.meta.url)),
+          });
+        }
+      },
+
+      'astro:server:setup': ({ server, refreshContent, logger }) => {
+        let timer = null;
+        let running = Promise.resolve();
+        /** Files (relative to contentRoot) changed since the last rebuild */
+        let changedFiles = new Set();
+
+        const rebuild = async () => {
+          const changed = changedFiles;
+          changedFiles = new Set();
+
+          const { contentMap, unpublished } = await generateContentMap({
+            root,
+            drafts,
+            log: (msg) => logger.debug(msg),
+          });
+
+          const staleEntries = addEmbedders(
+            diffContentMaps(currentMap, contentMap),
+            contentMap,
+            changed
+          );
+          currentMap = contentMap;
+          setWikiLinkContentMap(contentMap, unpublished);
+
+          const privateChanged =
+            JSON.stringify(privateNotes(unpublished)) !==
+            JSON.stringify(privateNotes(currentUnpublished));
+          if (privateChanged) {
+            const mod = server.moduleGraph.getModuleById(RESOLVED_PRIVATE_NOTES);
+            if (mod) server.moduleGraph.invalidateModule(mod);
+          }
+          currentUnpublished = unpublished;
+
+          const affected = Object.entries(staleEntries).flatMap(
+            ([collection, slugs]) => slugs.map((slug) => `/${collection}/${slug}/`)
+          );
+          if (affected.length === 0) return;
+
+          logger.info(`Content map updated (${affected.length} affected)`);
+
+          await refreshContent?.({
+            loaders: [VAULT_LOADER_NAME],
+            context: { staleEntries },
+          });
+
+          for (const pagePath of affected) {
+            server.ws.send({ type: 'full-reload', path: `${pagePath}index.html` });
+          }
+        };
+
+        // The vault plus the collections kept in this repo (src/posts)
+        const watchedDirs = [
+          contentRoot,
+          ...Object.values(REPO_COLLECTIONS).map((dir) => path.join(root, dir)),
+        ];
+
+        const schedule = (file) => {
+          if (!MARKDOWN_FILE.test(file)) return;
+          const absPath = path.resolve(file);
+          if (!watchedDirs.some((dir) => absPath.startsWith(dir + path.sep))) return;
+
+          changedFiles.add(path.relative(contentRoot, absPath));
+          clearTimeout(timer);
+          timer = setTimeout(() => {
+            running = running
+              .then(rebuild)
+              .catch((err) => logger.error(`Regeneration failed: ${err.message}`));
+          }, REBUILD_DEBOUNCE_MS);
+        };
+
+        server.watcher.on('add', schedule);
+        server.watcher.on('change', schedule);
+        server.watcher.on('unlink', schedule);
+
+        // Embedded images/PDFs live next to the notes, outside public/
+        server.middlewares.use(ATTACHMENT_BASE_URL, async (req, res, next) => {
+          const relPath = decodeURIComponent((req.url ?? '').split('?')[0]).replace(/^\/+/, '');
+          const attachments = findAttachments(contentRoot);
+          if (!relPath || attachments.get(relPath.toLowerCase()) !== relPath) return next();
+
+          try {
+            const body = await fs.readFile(path.join(contentRoot, relPath));
+            res.setHeader('Content-Type', attachmentMime(relPath));
+            res.end(body);
+          } catch (err) {
+            next(err);
+          }
+        });
+      },
+
+      'astro:build:done': async ({ dir, logger }) => {
+        const outDir = path.join(fileURLToPath(dir), ATTACHMENT_BASE_URL);
+        const files = new Set(findAttachments(contentRoot).values());
+
+        for (const relPath of files) {
+          const target = path.join(outDir, relPath);
+          await fs.mkdir(path.dirname(target), { recursive: true });
+          await fs.copyFile(path.join(contentRoot, relPath), target);
+        }
+        if (files.size > 0) logger.info(`Copied ${files.size} attachments`);
+
+        // Absolute URLs need the production origin
+        if (!site) {
+          logger.warn('`site` is not set; skipping sitemap and link check');
+          return;
+        }
+        const { linkHealth } = await checkSite({
+          root,
+          distDir: fileURLToPath(dir),
+          site,
+          log: (msg) => logger.debug(msg),
+        });
+        const counts = healthCounts(linkHealth, LINK_HEALTH_CATEGORIES);
+        const issues = LINK_HEALTH_CATEGORIES.filter(({ key }) => counts[key] > 0);
+        if (issues.length === 0) {
+          logger.info('Wrote sitemap.xml and robots.txt; no broken links');
+        } else {
+          logger.warn(
+            `Link check: ${issues.map(({ key, label }) => `${counts[key]} ${label.toLowerCase()}`).join(', ')}` +
+              ' (see src/data/link-health.json)'
+          );
+        }
+      },
+    },
+  };
+}
@@ -0,0 +1,96 @@
+// src/lib/attachments.js
+// Vault attachments (images, PDFs, audio/video) referenced by wiki-links
+// and embeds. Shared by:
+//   - src/scripts/generate-content-map.mjs (attachments aren't graph nodes)
+//   - src/plugins/remark-wiki-link.js      (![[image.png]] → media)
+//   - src/integrations/content-map.js      (serve in dev, copy on build)
+//
+// Obsidian resolves attachments by file name anywhere in the vault, so
+// lookups accept either the bare name or the vault-relative path.
+
+import fs from "node:fs";
+import path from "node:path";
+
+/** Public URL prefix attachments are served from. */
+export const ATTACHMENT_BASE_URL = "/attachments/";
+
+/** Extension -> { kind, mime } for every attachment type we render. */
+const ATTACHMENT_TYPES = {
+  png: { kind: "image", mime: "image/png" },
+  jpg: { kind: "image", mime: "image/jpeg" },
+  jpeg: { kind: "image", mime: "image/jpeg" },
+  gif: { kind: "image", mime: "image/gif" },
+  webp: { kind: "image", mime: "image/webp" },
+  avif: { kind: "image", mime: "image/avif" },
+  svg: { kind: "image", mime: "image/svg+xml" },
+  pdf: { kind: "pdf", mime: "application/pdf" },
+  mp4: { kind: "video", mime: "video/mp4" },
+  webm: { kind: "video", mime: "video/webm" },
+  mov: { kind: "video", mime: "video/quicktime" },
+  mp3: { kind: "audio", mime: "audio/mpeg" },
+  m4a: { kind: "audio", mime: "audio/mp4" },
+  ogg: { kind: "audio", mime: "audio/ogg" },
+  wav: { kind: "audio", mime: "audio/wav" },
+};
+
+function typeOf(name) {
+  const ext = path.extname(String(name || "")).slice(1).toLowerCase();
+  return ATTACHMENT_TYPES[ext] || null;
+}
+
+/**
+ * "image" | "pdf" | "video" | "audio" for attachment names, else null.
+ * A wiki-link target with one of these extensions is never a note.
+ */
+export function attachmentKind(name) {
+  return typeOf(name)?.kind ?? null;
+}
+
+export function attachmentMime(name) {
+  return typeOf(name)?.mime ?? "application/octet-stream";
+}
+
+/**
+ * Find every attachment under the content root.
+ *
+ * @param {string} contentRoot  absolute path to src/content
+ * @returns {Map<string, string>}  lowercased name or relative path -> relative path (posix)
+ */
+export function findAttachments(contentRoot) {
+  const index = new Map();
+
+  function walk(dir) {
+    let entries;
+    try {
+      entries = fs.readdirSync(dir, { withFileTypes: true });
+    } catch (err) {
+      if (err.code === "ENOENT") return;
+      throw err;
+    }
+
+    for (const entry of entries) {
+      if (entry.name.startsWith(".")) continue;
+      const fullPath = path.join(dir, entry.name);
+
+      if (entry.isDirectory()) {
+        walk(fullPath);
+      } else if (entry.isFile() && attachmentKind(entry.name)) {
+        const relPath = path.relative(contentRoot, fullPath).split(path.sep).join("/");
+        const byName = entry.name.toLowerCase();
+        // First file wins for duplicate names, like Obsidian's shortest-path match
+        if (!index.has(byName)) index.set(byName, relPath);
+        index.set(relPath.toLowerCase(), relPath);
+      }
+    }
+  }
+
+  walk(contentRoot);
+  return index;
+}
+
+/**
+ * Public URL for a vault-relative attachment path.
+ */
+export function attachmentUrl(relPath) {
+  return ATTACHMENT_BASE_URL + relPath.split("/").map(encodeURIComponent).join("/");
+}
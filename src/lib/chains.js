@@ -0,0 +1,126 @@
+// src/lib/chains.js
+// Reconstruct Folgezettel-style chains (trains of thought) from the
+// `chains` frontmatter links. Used by src/scripts/generate-content-map.mjs,
+// which writes src/data/chains.json.
+//
+// A note's `chains: ["[[Next]]", "[[Branch]]"]` says what follows it; the
+// first entry continues the main line and later ones branch off. A chain
+// is everything reachable from a root (a note nothing chains to), laid
+// out as a tree in frontmatter order.
+
+/**
+ * @typedef {{
+ *   id:string,
+ *   title:string,
+ *   chainedLinks:Array<{ id:string }>,
+ * }} ChainInput
+ *
+ * @typedef {{
+ *   id:string,                          // root node id
+ *   rootId:string,
+ *   title:string,                       // root title
+ *   length:number,                      // notes in the chain
+ *   depth:number,                       // longest root-to-leaf path, in notes
+ *   branches:number,                    // notes with more than one successor
+ *   order:string[],                     // reading order (depth-first, main line first)
+ *   children:Record<string, string[]>,  // tree edges, ordered
+ * }} Chain
+ *
+ * @typedef {{ fromId:string, toId:string, message:string }} ChainCycle
+ */
+
+/**
+ * @param {ChainInput[]} nodes
+ * @returns {{ chains:Chain[], cycles:ChainCycle[] }}
+ */
+export function buildChains(nodes) {
+  const byId = new Map(nodes.map((n) => [n.id, n]));
+
+  /** Ordered, de-duplicated successors that exist in `nodes` */
+  const successors = new Map();
+  const hasPredecessor = new Set();
+  for (const node of nodes) {
+    const next = [];
+    for (const link of node.chainedLinks) {
+      if (link.id === node.id || !byId.has(link.id) || next.includes(link.id)) continue;
+      next.push(link.id);
+      hasPredecessor.add(link.id);
+    }
+    successors.set(node.id, next);
+  }
+
+  const chains = [];
+  const cycles = [];
+  const covered = new Set();
+  const reported = new Set();
+
+  function walk(rootId) {
+    const children = {};
+    const order = [];
+    const onPath = new Set();
+    const seen = new Set();
+    let depth = 0;
+
+    const visit = (id, level) => {
+      seen.add(id);
+      onPath.add(id);
+      order.push(id);
+      covered.add(id);
+      depth = Math.max(depth, level);
+
+      const kept = [];
+      for (const next of successors.get(id)) {
+        if (onPath.has(next)) {
+          const key = `${id}\u0000${next}`;
+          if (reported.has(key)) continue;
+          reported.add(key);
+          cycles.push({
+            fromId: id,
+            toId: next,
+            message: `Chain cycle: "${byId.get(id).title}" → "${byId.get(next).title}" leads back into its own chain`,
+          });
+          continue;
+        }
+        // Merges: a note reached twice stays under its first parent
+        if (seen.has(next)) continue;
+        kept.push(next);
+        visit(next, level + 1);
+      }
+      if (kept.length > 0) children[id] = kept;
+      onPath.delete(id);
+    };
+
+    visit(rootId, 1);
+
+    const root = byId.get(rootId);
+    return {
+      id: root.id,
+      rootId: root.id,
+      title: root.title,
+      length: order.length,
+      depth,
+      branches: Object.values(children).filter((c) => c.length > 1).length,
+      order,
+      children,
+    };
+  }
+
+  // Roots: chain something, but nothing chains to them
+  const roots = nodes
+    .filter((n) => successors.get(n.id).length > 0 && !hasPredecessor.has(n.id))
+    .map((n) => n.id)
+    .sort();
+  for (const id of roots) chains.push(walk(id));
+
+  // Chains that loop back to their start have no root; start them at
+  // their smallest id so the choice is stable
+  const leftover = nodes
+    .filter((n) => successors.get(n.id).length > 0 && !covered.has(n.id))
+    .map((n) => n.id)
+    .sort();
+  for (const id of leftover) {
+    if (!covered.has(id)) chains.push(walk(id));
+  }
+
+  return { chains, cycles };
+}
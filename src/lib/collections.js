@@ -0,0 +1,47 @@
+// src/lib/collections.js
+// Which vault folders are published as pages, and where each collection's
+// files live. Shared by:
+//   - src/lib/graph.ts                     (graph view, previews)
+//   - src/content.config.ts                (collection loaders)
+//   - src/scripts/generate-content-map.mjs (related notes, file discovery)
+//   - src/integrations/content-map.js      (dev file watching, content refresh)
+//
+// content-map.json also lists folders like _templates that are never
+// rendered; anything derived for readers should stick to these.
+
+/**
+ * Collections with pages at /{collection}/{slug}/.
+ * @type {readonly ["essays", "notes", "posts", "projects"]}
+ */
+export const PAGE_COLLECTIONS = Object.freeze(["essays", "notes", "posts", "projects"]);
+
+/**
+ * Collections kept in this repo rather than the vault (src/content is
+ * the Obsidian vault's own repo), by folder from the project root.
+ *
+ * Their files still get a content-map filePath relative to src/content
+ * ("../posts/post-1.md"), so everything that reads a note's
+ * file by that path finds them too.
+ * @type {Readonly<Record<string, string>>}
+ */
+export const REPO_COLLECTIONS = Object.freeze({ posts: "src/posts" });
+
+/**
+ * Folder holding a collection's files, from the project root.
+ * @param {string} collection
+ */
+export function collectionDir(collection) {
+  return REPO_COLLECTIONS[collection] ?? `src/content/${collection}`;
+}
+
+export function isPageCollection(collection) {
+  return PAGE_COLLECTIONS.includes(collection);
+}
+
+/**
+ * Loader name used by the vault collections (see src/content.config.ts).
+ * The content-map integration's refreshContent() targets it with
+ * `{ staleEntries }` so entries whose links changed are re-rendered even
+ * though their own file didn't.
+ */
+export const VAULT_LOADER_NAME = "vault-glob";
@@ -0,0 +1,178 @@
+// src/lib/excerpt.js
+// Plain text from raw note markdown, for places that show or index a
+// note outside its own page (wiki-link previews, search, backlink context).
+//
+// Works on the markdown source rather than rendered HTML so it can run
+// anywhere an entry's `body` is available, without rendering it.
+//
+// Every function takes `{ isPrivateLink }` (see src/lib/private-links.ts):
+// links into private notes read like the rendered page, alias or
+// "private note", never the note's title.
+
+import { parseBlockId, parseWikiLinkBody } from "./wiki-links.js";
+import { PRIVATE_LINK_TEXT } from "./publishing.js";
+
+/**
+ * @typedef {{ isPrivateLink?:(title:string) => boolean }} TextOptions
+ */
+
+/**
+ * Strip inline markdown down to readable text:
+ *   [[Title#Header|Alias]] -> "Alias", [text](url) -> "text",
+ *   **bold** / _em_ / `code` -> their text, trailing ^block ids removed.
+ *
+ * @param {string} markdown
+ * @param {TextOptions} [options]
+ */
+export function inlineMarkdownToText(markdown, { isPrivateLink = () => false } = {}) {
+  const block = parseBlockId(markdown);
+  const text = block ? block.text : String(markdown || "");
+
+  return text
+    .replace(/!?\[\[([^[\]]+)\]\]/g, (_, inner) => {
+      const { title, header, alias } = parseWikiLinkBody(inner);
+      if (alias) return alias;
+      if (isPrivateLink(title)) return PRIVATE_LINK_TEXT;
+      return header && !header.startsWith("^") ? header : title;
+    })
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, "$1")
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, "$1")
+    .replace(/<[^>]+>/g, "")
+    .replace(/(\*\*|__|~~)(.+?)\1/g, "$2")
+    .replace(/(^|[^\w*])[*_](?!\s)(.+?)[*_](?=[^\w*]|$)/g, "$1$2")
+    .replace(/`([^`]*)`/g, "$1")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+// Lines that start something other than a prose paragraph
+const NON_PROSE_LINE = /^(#{1,6}\s|>|[-*+]\s|\d+[.)]\s|\||!\[\[|<|---|\*\*\*|___|\^[A-Za-z0-9-]+\s*$)/;
+
+/**
+ * First prose paragraph of a note body, as plain text.
+ * Skips headings, code fences, lists, quotes, tables and block embeds.
+ *
+ * @param {string} body       markdown without frontmatter
+ * @param {number} maxLength  longer text is cut at a word boundary + "…"
+ * @param {TextOptions} [options]
+ * @returns {string}          "" when the note has no prose paragraph
+ */
+export function firstParagraph(body, maxLength = 280, options = {}) {
+  const lines = String(body || "").split(/\r?\n/);
+  let inFence = false;
+  let paragraph = [];
+
+  for (const line of lines) {
+    const trimmed = line.trim();
+
+    if (/^(```|~~~)/.test(trimmed)) {
+      inFence = !inFence;
+      if (paragraph.length > 0) break;
+      continue;
+    }
+    if (inFence) continue;
+
+    if (!trimmed || NON_PROSE_LINE.test(trimmed)) {
+      if (paragraph.length > 0) break;
+      continue;
+    }
+    paragraph.push(parseBlockId(trimmed)?.text.trim() ?? trimmed);
+  }
+
+  return truncate(inlineMarkdownToText(paragraph.join(" "), options), maxLength);
+}
+
+function truncate(text, maxLength) {
+  if (text.length <= maxLength) return text;
+  const cut = text.slice(0, maxLength);
+  const lastSpace = cut.lastIndexOf(" ");
+  return `${(lastSpace > maxLength / 2 ? cut.slice(0, lastSpace) : cut).replace(/[\s.,;:]+$/, "")}…`;
+}
+
+/**
+ * Whole note body as plain text, one space between blocks. Code is kept
+ * (people search for function names) but fences, markers and markup go.
+ *
+ * @param {string} body  markdown without frontmatter
+ * @param {TextOptions} [options]
+ * @returns {string}
+ */
+export function markdownToText(body, options = {}) {
+  const parts = [];
+  let inFence = false;
+
+  for (const line of String(body || "").split(/\r?\n/)) {
+    const trimmed = line.trim();
+    if (/^(```|~~~)/.test(trimmed)) {
+      inFence = !inFence;
+      continue;
+    }
+    if (inFence) {
+      if (trimmed) parts.push(trimmed);
+      continue;
+    }
+
+    // Table rows: cells become words; the |---| separator row goes
+    const unpiped = trimmed.startsWith("|")
+      ? trimmed.replace(/^[|\s:-]+$/, "").replace(/\s*\|\s*(?![^[]*\]\])/g, " ")
+      : trimmed;
+    const text = inlineMarkdownToText(
+      unpiped.replace(/^(#{1,6}\s+|(>\s?)+|[-*+]\s+(\[[ xX]\]\s+)?|\d+[.)]\s+)/, ""),
+      options
+    );
+    if (text && !/^(-{3,}|\*{3,}|_{3,})$/.test(text)) parts.push(text);
+  }
+  return parts.join(" ");
+}
+
+/**
+ * @typedef {{ before:string, link:string, after:string }} MentionSource
+ *   a paragraph split around one wiki-link, as markdown
+ * @typedef {{ text:string, mark:[number, number] }} Mention
+ *   plain text, and where the link's text sits in it
+ */
+
+const SENTENCE_END = /[.!?]["'”’)\]]*(?=\s|$)/g;
+
+/**
+ * One mention of a note (a backlink's context) as plain text: the whole
+ * paragraph when it is short, else the sentence holding the link, cut
+ * to about maxLength around it.
+ *
+ * @param {MentionSource} source
+ * @param {number} [maxLength]
+ * @param {TextOptions} [options]
+ * @returns {Mention}
+ */
+export function mentionText({ before, link, after }, maxLength = 280, options = {}) {
+  // Converted piece by piece to keep track of the link; spacing at the
+  // seams comes from the source, and markup split by the link is dropped
+  const piece = (md) => inlineMarkdownToText(md, options).replace(/\*\*|__|~~/g, "").trim();
+  let head = piece(before).replace(/[*_~]+$/, "").trimEnd();
+  let tail = piece(after).replace(/^[*_~]+/, "").trimStart();
+  const marked = piece(link);
+  if (head && /\s$/.test(before.replace(/[*_~]+$/, ""))) head += " ";
+  if (tail && /^\s/.test(after.replace(/^[*_~]+/, ""))) tail = ` ${tail}`;
+
+  if (head.length + marked.length + tail.length > maxLength) {
+    // The sentence around the link
+    const ends = [...head.matchAll(SENTENCE_END)];
+    const last = ends.at(-1);
+    if (last) head = head.slice(last.index + last[0].length).trimStart();
+    const end = new RegExp(SENTENCE_END.source).exec(tail);
+    if (end) tail = tail.slice(0, end.index + end[0].length);
+  }
+
+  // Still too long: keep what's nearest the link
+  const room = Math.max(0, maxLength - marked.length);
+  if (head.length > room / 2 && head.length + tail.length > room) {
+    const keep = head.slice(-Math.max(room - Math.min(tail.length, room / 2), 0));
+    head = `…${keep.slice(keep.indexOf(" ") + 1)}`;
+  }
+  if (head.length + tail.length > room) {
+    const cut = tail.slice(0, Math.max(room - head.length, 0));
+    tail = `${cut.slice(0, cut.lastIndexOf(" ") + 1 || cut.length).trimEnd()}…`;
+  }
+
+  return { text: head + marked + tail, mark: [head.length, head.length + marked.length] };
+}
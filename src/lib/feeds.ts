@@ -0,0 +1,168 @@
+// src/lib/feeds.ts
+// RSS, Atom and JSON Feed rendering for src/pages/feeds/[...feed].ts.
+//
+// Every format is built from the same FeedItem list, so the three stay in
+// step: full HTML content with site-relative links made absolute (feed
+// readers have no base URL), newest first.
+
+import rss from '@astrojs/rss';
+
+import { SITE_TITLE } from './consts';
+
+export { SITE_TITLE };
+
+export const FEED_FORMATS = ['rss.xml', 'atom.xml', 'feed.json'] as const;
+export type FeedFormat = (typeof FEED_FORMATS)[number];
+
+const CONTENT_TYPES: Record<FeedFormat, string> = {
+  'rss.xml': 'application/rss+xml; charset=utf-8',
+  'atom.xml': 'application/atom+xml; charset=utf-8',
+  'feed.json': 'application/feed+json; charset=utf-8',
+};
+
+export interface FeedItem {
+  title: string;
+  url: string; // absolute; doubles as the item's id
+  description: string;
+  html: string; // absolute links
+  collection: string;
+  tags: string[];
+  published?: Date;
+  updated?: Date;
+}
+
+export interface FeedMeta {
+  title: string;
+  description: string;
+  path: string; // feed directory, e.g. "/feeds/notes/"
+  homePath: string; // page the feed mirrors, e.g. "/notes/"
+}
+
+/** A usable date, or undefined for missing / unparseable values */
+export function toDate(value: unknown): Date | undefined {
+  if (value === null || value === undefined || value === '') return undefined;
+  const date = value instanceof Date ? value : new Date(value as string | number);
+  return Number.isNaN(date.getTime()) ? undefined : date;
+}
+
+/** When the item last changed: updated, else published */
+export const itemDate = (item: FeedItem) => item.updated ?? item.published;
+
+/** Newest first; undated items go last, by title */
+export function sortFeedItems(items: FeedItem[]): FeedItem[] {
+  return [...items].sort((a, b) => {
+    const da = itemDate(a)?.getTime();
+    const db = itemDate(b)?.getTime();
+    if (da !== db) {
+      if (da === undefined) return 1;
+      if (db === undefined) return -1;
+      return db - da;
+    }
+    return a.title.localeCompare(b.title);
+  });
+}
+
+/** href="/notes/x/" -> href="https://site/notes/x/" (protocol-relative URLs untouched) */
+export function absolutizeUrls(html: string, site: URL): string {
+  return html.replace(
+    /\b(href|src|poster|data)="(\/(?!\/)[^"]*)"/g,
+    (_, attr, url) => `${attr}="${new URL(url, site).href}"`
+  );
+}
+
+function escapeXml(text: string): string {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function renderAtom(meta: FeedMeta, items: FeedItem[], site: URL): string {
+  const feedUrl = new URL(`${meta.path}atom.xml`, site).href;
+  // Atom needs an <updated> everywhere; undated items borrow the feed's
+  const latest = items.map(itemDate).find(Boolean) ?? new Date(0);
+
+  const entries = items.map((item) => {
+    const published = item.published ? `<published>${item.published.toISOString()}</published>` : '';
+    const categories = item.tags.map((tag) => `<category term="${escapeXml(tag)}"/>`).join('');
+    return [
+      '<entry>',
+      `<title>${escapeXml(item.title)}</title>`,
+      `<id>${escapeXml(item.url)}</id>`,
+      `<link rel="alternate" href="${escapeXml(item.url)}"/>`,
+      published,
+      `<updated>${(itemDate(item) ?? latest).toISOString()}</updated>`,
+      categories,
+      item.description ? `<summary>${escapeXml(item.description)}</summary>` : '',
+      `<content type="html">${escapeXml(item.html)}</content>`,
+      '</entry>',
+    ].join('');
+  });
+
+  return [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `<title>${escapeXml(meta.title)}</title>`,
+    `<subtitle>${escapeXml(meta.description)}</subtitle>`,
+    `<id>${escapeXml(feedUrl)}</id>`,
+    `<link rel="self" type="application/atom+xml" href="${escapeXml(feedUrl)}"/>`,
+    `<link rel="alternate" href="${escapeXml(new URL(meta.homePath, site).href)}"/>`,
+    `<updated>${latest.toISOString()}</updated>`,
+    `<author><name>${escapeXml(SITE_TITLE)}</name></author>`,
+    ...entries,
+    '</feed>',
+  ].join('\n');
+}
+
+function renderJsonFeed(meta: FeedMeta, items: FeedItem[], site: URL): string {
+  return JSON.stringify({
+    version: 'https://jsonfeed.org/version/1.1',
+    title: meta.title,
+    description: meta.description,
+    home_page_url: new URL(meta.homePath, site).href,
+    feed_url: new URL(`${meta.path}feed.json`, site).href,
+    authors: [{ name: SITE_TITLE }],
+    items: items.map((item) => ({
+      id: item.url,
+      url: item.url,
+      title: item.title,
+      summary: item.description || undefined,
+      content_html: item.html,
+      date_published: item.published?.toISOString(),
+      date_modified: item.updated?.toISOString(),
+      tags: item.tags.length > 0 ? item.tags : undefined,
+    })),
+  });
+}
+
+/**
+ * The feed at `${meta.path}${format}`. Items should already be sorted.
+ */
+export async function feedResponse(
+  format: FeedFormat,
+  meta: FeedMeta,
+  items: FeedItem[],
+  site: URL
+): Promise<Response> {
+  if (format === 'rss.xml') {
+    return rss({
+      title: meta.title,
+      description: meta.description,
+      site,
+      items: items.map((item) => ({
+        title: item.title,
+        link: item.url,
+        pubDate: item.published ?? item.updated,
+        description: item.description || undefined,
+        content: item.html,
+        categories: item.tags,
+      })),
+    });
+  }
+
+  const body =
+    format === 'atom.xml' ? renderAtom(meta, items, site) : renderJsonFeed(meta, items, site);
+  return new Response(body, { headers: { 'Content-Type': CONTENT_TYPES[format] } });
+}
@@ -0,0 +1,83 @@
+// src/lib/frontmatter.js
+// Frontmatter normalization shared by:
+//   - src/content.config.ts                (collection schemas / entry ids)
+//   - src/scripts/generate-content-map.mjs (graph nodes)
+//
+// The site and the graph must read a note's frontmatter the same way,
+// so both go through these helpers instead of re-implementing them.
+
+import { slugifyTitle } from "./wiki-links.js";
+
+/**
+ * Trimmed string, or "" for anything that isn't a string.
+ */
+export function normalizeString(value) {
+  return typeof value === "string" ? value.trim() : "";
+}
+
+/**
+ * Trimmed string, or null when missing/empty/not a string.
+ * Used for identity fields like `cuid`.
+ */
+export function normalizeOptionalString(value) {
+  return normalizeString(value) || null;
+}
+
+/**
+ * Normalize list-like fields (tags, aliases) into an array of strings.
+ * - "a, b"      -> ["a", "b"]
+ * - ["a", " b"] -> ["a", "b"]
+ * - anything else -> []
+ */
+export function normalizeStringList(value) {
+  if (Array.isArray(value)) {
+    return value
+      .filter((v) => typeof v === "string")
+      .map((v) => v.trim())
+      .filter(Boolean);
+  }
+  if (typeof value === "string") {
+    return value
+      .split(",")
+      .map((v) => v.trim())
+      .filter(Boolean);
+  }
+  return [];
+}
+
+/**
+ * Normalize frontmatter fields that may contain wiki-links into an array of strings.
+ * - Handles strings and arrays of strings.
+ * - Ignores anything else.
+ * - Never splits on commas (link text may contain them).
+ */
+export function normalizeLinkField(value) {
+  if (!value) return [];
+  if (typeof value === "string") return [value];
+  if (Array.isArray(value)) return value.filter((v) => typeof v === "string");
+  return [];
+}
+
+/**
+ * Build a slug from a path relative to the collection root:
+ *   "Sub Dir/My Note.md" -> "sub-dir/my-note"
+ *
+ * Used as the collection entry id so `entry.id` always equals the
+ * `slug` stored in content-map.json.
+ */
+export function slugifyContentPath(relPath) {
+  return String(relPath)
+    .replace(/\.(md|mdx)$/i, "")
+    .split(/[\\/]/)
+    .map((s) => slugifyTitle(s))
+    .filter(Boolean)
+    .join("/");
+}
+
+/**
+ * Title used when frontmatter has none: the last slug segment.
+ */
+export function titleFromSlug(slug) {
+  const segments = String(slug).split("/").filter(Boolean);
+  return segments[segments.length - 1] || String(slug);
+}
@@ -0,0 +1,309 @@
+// src/lib/graph.test.ts
+// createGraph against small hand-built content maps: lookups, link
+// filters and traversals, including their edge cases.
+
+import { describe, expect, it } from 'vitest';
+
+import {
+  LINK_FILTERS,
+  createGraph,
+  filterLinks,
+  type LinkSubsetKind,
+  type RawEdge,
+  type RawNode,
+  type RelatedNote,
+} from './graph';
+
+interface FixtureNode {
+  id: string;
+  title: string;
+  collection?: string;
+  slug?: string;
+  cuid?: string;
+  tags?: string[];
+  aliases?: string[];
+  links?: Array<[to: string, kind: LinkSubsetKind]>;
+}
+
+/**
+ * A content map the way the generator writes it: every link is an
+ * outbound edge on its source, an inbound edge on its target, and
+ * `chains` links are also chained edges. Targets missing from the map
+ * keep their outbound edge only (like a link to a dropped note).
+ */
+function contentMap(fixtures: FixtureNode[]): RawNode[] {
+  const nodes: RawNode[] = fixtures.map((f) => ({
+    id: f.id,
+    cuid: f.cuid ?? null,
+    slug: f.slug ?? f.id,
+    collection: f.collection ?? 'notes',
+    title: f.title,
+    tags: f.tags ?? [],
+    aliases: f.aliases ?? [],
+    headings: [],
+    blockIds: [],
+    filePath: `${f.collection ?? 'notes'}/${f.title}.md`,
+    outboundLinks: [],
+    inboundLinks: [],
+    chainedLinks: [],
+  }));
+  const byId = new Map(nodes.map((node) => [node.id, node]));
+
+  const edgeTo = (node: RawNode | undefined, id: string, kind: LinkSubsetKind): RawEdge => ({
+    id,
+    cuid: node?.cuid ?? null,
+    title: node?.title ?? id,
+    slug: node?.slug ?? id,
+    collection: node?.collection ?? 'notes',
+    kind,
+  });
+
+  for (const f of fixtures) {
+    const from = byId.get(f.id)!;
+    for (const [toId, kind] of f.links ?? []) {
+      const to = byId.get(toId);
+      from.outboundLinks.push(edgeTo(to, toId, kind));
+      if (kind === 'chains') from.chainedLinks.push(edgeTo(to, toId, kind));
+      to?.inboundLinks.push(edgeTo(from, from.id, kind));
+    }
+  }
+  return nodes;
+}
+
+// Two components plus an isolated note:
+//   alpha → beta → gamma → delta, with beta → alpha closing a cycle
+//   foxtrot ↔ golf
+//   echo (no links; shares beta's slug in another collection)
+const NODES = contentMap([
+  {
+    id: 'alpha',
+    cuid: '20240101000000',
+    title: 'Alpha',
+    tags: ['ai/llm', 'astro'],
+    aliases: ['First', 'Opener'],
+    links: [
+      ['beta', 'body'],
+      ['gamma', 'source'],
+      ['missing', 'body'],
+    ],
+  },
+  {
+    id: 'beta',
+    title: 'Beta',
+    tags: ['astro'],
+    aliases: ['Second'],
+    links: [
+      ['gamma', 'body'],
+      ['alpha', 'chains'],
+      ['beta', 'body'],
+    ],
+  },
+  {
+    id: 'gamma',
+    title: 'Gamma',
+    collection: 'essays',
+    tags: ['Astro', 'astro'],
+    links: [
+      ['delta', 'embed'],
+      ['delta', 'embed'],
+    ],
+  },
+  { id: 'delta', title: 'Delta', collection: 'projects', aliases: ['first'] },
+  { id: 'echo', title: 'Beta', collection: 'essays', slug: 'beta' },
+  { id: 'foxtrot', title: 'Foxtrot', links: [['golf', 'body']] },
+  { id: 'golf', title: 'Golf', links: [['foxtrot', 'resources']] },
+]);
+
+const RELATED: Record<string, RelatedNote[]> = {
+  alpha: [
+    { id: 'delta', score: 0.5, reasons: ['Shared tags: astro'] },
+    { id: 'gone', score: 0.4, reasons: ['Similar wording'] },
+  ],
+};
+
+const graph = createGraph(NODES, RELATED);
+const ids = (nodes: Array<{ id: string }> | null) => nodes?.map((node) => node.id) ?? null;
+
+describe('lookups', () => {
+  it('gets nodes by id or cuid', () => {
+    expect(graph.get('alpha')?.title).toBe('Alpha');
+    expect(graph.get('20240101000000')?.id).toBe('alpha');
+    expect(graph.getByCuid('20240101000000')?.id).toBe('alpha');
+    expect(graph.get('nope')).toBeUndefined();
+    expect(graph.getByCuid('alpha')).toBeUndefined();
+  });
+
+  it('gets nodes by slug, per collection when slugs repeat', () => {
+    expect(graph.getBySlug('beta')?.id).toBe('beta');
+    expect(graph.getBySlug('beta', 'notes')?.id).toBe('beta');
+    expect(graph.getBySlug('beta', 'essays')?.id).toBe('echo');
+    expect(graph.getBySlug('beta', 'projects')).toBeUndefined();
+    expect(graph.getBySlug('nope')).toBeUndefined();
+  });
+
+  it('finds nodes by title, ignoring case', () => {
+    expect(ids(graph.findByTitle('alpha'))).toEqual(['alpha']);
+    expect(ids(graph.findByTitle('BETA'))).toEqual(['beta', 'echo']);
+    expect(graph.findByTitle('Nope')).toEqual([]);
+  });
+
+  it('finds nodes by alias, ignoring case', () => {
+    expect(ids(graph.findByAlias('opener'))).toEqual(['alpha']);
+    expect(ids(graph.findByAlias('FIRST'))).toEqual(['alpha', 'delta']);
+    expect(graph.findByAlias('Alpha')).toEqual([]);
+  });
+
+  it('finds nodes by tag, once per node', () => {
+    expect(ids(graph.findByTag('ASTRO'))).toEqual(['alpha', 'beta', 'gamma']);
+    expect(ids(graph.findByTag('ai/llm'))).toEqual(['alpha']);
+    // Parent tags are a taxonomy concern (src/lib/tags.js), not a lookup
+    expect(graph.findByTag('ai')).toEqual([]);
+  });
+
+  it('resolves wiki-link targets like the site does', () => {
+    expect(graph.resolve('Alpha')?.id).toBe('alpha');
+    expect(graph.resolve('Opener')?.id).toBe('alpha');
+    expect(graph.resolve('Nope')).toBeUndefined();
+  });
+});
+
+describe('links', () => {
+  it('flattens every edge of a node with its direction', () => {
+    const links = graph.links('beta');
+    expect(links.map((l) => [l.direction, l.kind, l.id])).toEqual([
+      ['outbound', 'body', 'gamma'],
+      ['outbound', 'chains', 'alpha'],
+      ['outbound', 'body', 'beta'],
+      ['inbound', 'body', 'alpha'],
+      ['inbound', 'body', 'beta'],
+      ['chain', 'chains', 'alpha'],
+    ]);
+  });
+
+  it('adds related notes that are still in the map, with reasons', () => {
+    const related = graph.links('alpha', LINK_FILTERS.related);
+    expect(related).toEqual([
+      expect.objectContaining({ id: 'delta', direction: 'related', reasons: ['Shared tags: astro'] }),
+    ]);
+    expect(ids(graph.related('alpha'))).toEqual(['delta']);
+    expect(graph.related('beta')).toEqual([]);
+  });
+
+  it('returns nothing for unknown ids', () => {
+    expect(graph.links('nope')).toEqual([]);
+    expect(graph.links('nope', LINK_FILTERS.backlinks)).toEqual([]);
+  });
+
+  it('works with cuids like ids', () => {
+    expect(graph.links('20240101000000')).toEqual(graph.links('alpha'));
+  });
+
+  it('keeps citations, chains and embeds out of backlinks', () => {
+    expect(ids(graph.links('gamma', LINK_FILTERS.backlinks))).toEqual(['beta']);
+    expect(ids(graph.links('alpha', LINK_FILTERS.backlinks))).toEqual([]);
+    expect(ids(graph.links('delta', LINK_FILTERS.backlinks))).toEqual([]);
+  });
+
+  it('counts everything but citations as references', () => {
+    expect(ids(graph.links('gamma', LINK_FILTERS.references))).toEqual(['beta']);
+    expect(ids(graph.links('alpha', LINK_FILTERS.references))).toEqual(['beta']);
+    expect(ids(graph.links('delta', LINK_FILTERS.references))).toEqual(['gamma', 'gamma']);
+  });
+
+  it('filters chains, sources and resources', () => {
+    expect(ids(graph.links('beta', LINK_FILTERS.chainOutbound))).toEqual(['alpha']);
+    expect(ids(graph.links('alpha', LINK_FILTERS.chainInbound))).toEqual(['beta']);
+    expect(ids(graph.links('alpha', LINK_FILTERS.sources))).toEqual(['gamma']);
+    expect(ids(graph.links('golf', LINK_FILTERS.resources))).toEqual(['foxtrot']);
+    expect(ids(graph.links('foxtrot', LINK_FILTERS.resources))).toEqual([]);
+  });
+
+  it('lists each embedding note once', () => {
+    expect(ids(graph.links('delta', LINK_FILTERS.embeddedIn))).toEqual(['gamma']);
+  });
+
+  it('combines direction lists and kind filters', () => {
+    const links = graph.links('beta');
+    expect(ids(filterLinks(links, { direction: ['inbound', 'chain'] }))).toEqual(['alpha', 'beta', 'alpha']);
+    expect(ids(filterLinks(links, { kinds: ['body'], excludeKinds: ['body'] }))).toEqual([]);
+    expect(ids(filterLinks(links, { kinds: ['body'], unique: true }))).toEqual(['gamma', 'beta', 'alpha']);
+  });
+});
+
+describe('traversal', () => {
+  it('lists neighbours both ways by default, without self-links or missing notes', () => {
+    expect(ids(graph.neighbors('alpha'))).toEqual(['beta', 'gamma']);
+    expect(ids(graph.neighbors('beta'))).toEqual(['gamma', 'alpha']);
+    expect(ids(graph.neighbors('echo'))).toEqual([]);
+    expect(graph.neighbors('nope')).toEqual([]);
+  });
+
+  it('follows links one way, or only some kinds', () => {
+    expect(ids(graph.neighbors('gamma', { direction: 'outbound' }))).toEqual(['delta']);
+    expect(ids(graph.neighbors('gamma', { direction: 'inbound' }))).toEqual(['alpha', 'beta']);
+    expect(ids(graph.neighbors('alpha', { kinds: ['source'] }))).toEqual(['gamma']);
+  });
+
+  it('walks a neighbourhood nearest first, up to the depth', () => {
+    expect(ids(graph.neighborhood('alpha', 0))).toEqual(['alpha']);
+    expect(ids(graph.neighborhood('alpha', 1))).toEqual(['alpha', 'beta', 'gamma']);
+    expect(ids(graph.neighborhood('alpha', 2))).toEqual(['alpha', 'beta', 'gamma', 'delta']);
+    expect(ids(graph.neighborhood('delta', 1, { direction: 'outbound' }))).toEqual(['delta']);
+    expect(graph.neighborhood('nope', 2)).toEqual([]);
+  });
+
+  it('terminates on cycles', () => {
+    // alpha → beta → alpha (chains)
+    expect(ids(graph.neighborhood('alpha', 10, { direction: 'outbound' }))).toEqual([
+      'alpha',
+      'beta',
+      'gamma',
+      'delta',
+    ]);
+    expect(ids(graph.neighborhood('foxtrot', 10))).toEqual(['foxtrot', 'golf']);
+  });
+
+  it('finds the shortest path, including both ends', () => {
+    expect(ids(graph.shortestPath('alpha', 'delta'))).toEqual(['alpha', 'gamma', 'delta']);
+    expect(ids(graph.shortestPath('alpha', 'delta', { kinds: ['body', 'embed'] }))).toEqual([
+      'alpha',
+      'beta',
+      'gamma',
+      'delta',
+    ]);
+    expect(ids(graph.shortestPath('alpha', 'alpha'))).toEqual(['alpha']);
+    expect(ids(graph.shortestPath('20240101000000', 'beta'))).toEqual(['alpha', 'beta']);
+  });
+
+  it('returns null when there is no path', () => {
+    expect(graph.shortestPath('alpha', 'foxtrot')).toBeNull();
+    expect(graph.shortestPath('delta', 'alpha', { direction: 'outbound' })).toBeNull();
+    expect(graph.shortestPath('alpha', 'echo')).toBeNull();
+    expect(graph.shortestPath('alpha', 'nope')).toBeNull();
+    expect(graph.shortestPath('nope', 'alpha')).toBeNull();
+  });
+
+  it('splits the map into components, largest first', () => {
+    expect(graph.components().map(ids)).toEqual([
+      ['alpha', 'beta', 'gamma', 'delta'],
+      ['foxtrot', 'golf'],
+      ['echo'],
+    ]);
+  });
+
+  it('splits components further when only some kinds count', () => {
+    expect(graph.components({ kinds: ['body'] }).map(ids)).toEqual([
+      ['alpha', 'beta', 'gamma'],
+      ['foxtrot', 'golf'],
+      ['delta'],
+      ['echo'],
+    ]);
+  });
+
+  it('handles an empty map', () => {
+    const empty = createGraph([]);
+    expect(empty.components()).toEqual([]);
+    expect(empty.get('alpha')).toBeUndefined();
+    expect(empty.shortestPath('alpha', 'beta')).toBeNull();
+  });
+});
@@ -1,15 +1,28 @@
 // src/types/graph.ts
 
 import rawContentMap from '../data/content-map.json';
+import rawRelated from '../data/related.json';
+import rawChains from '../data/chains.json';
+import { createWikiLinkResolver } from './wiki-links.js';
+import { isPageCollection, PAGE_COLLECTIONS } from './collections.js';
 
 export type LinkSubsetKind =
   | 'body'
   | 'resources'
   | 'chains'
   | 'source'
+  | 'embed' // ![[Note]] transclusion
+  | 'related' // computed similarity, not a link (see src/lib/related.js)
   | (string & {}); // keep it open-ended
 
-export type LinkDirection = 'outbound' | 'inbound' | 'chain';
+export type LinkDirection = 'outbound' | 'inbound' | 'chain' | 'related';
+
+/** Where a body link was written (inbound edges only) */
+export interface LinkContext {
+  text: string; // the paragraph or sentence, as plain text
+  mark: [number, number]; // the link's text within it
+  heading: Pick<RawHeading, 'text' | 'slug'> | null; // section of the linking note
+}
 
 export interface RawEdge {
   id: string;
@@ -18,6 +31,13 @@ export interface RawEdge {
   slug: string;
   collection: string;
   kind: LinkSubsetKind;
+  context?: LinkContext;
+}
+
+export interface RawHeading {
+  depth: number;
+  text: string;
+  slug: string; // rendered heading id
 }
 
 export interface RawNode {
@@ -29,12 +49,55 @@ export interface RawNode {
   description?: string;
   tags: string[];
   aliases: string[];
+  headings: RawHeading[];
+  blockIds: string[]; // Obsidian ^block ids (rendered as id="^block")
+  filePath: string; // relative to src/content
   outboundLinks: RawEdge[];
   inboundLinks: RawEdge[];
   chainedLinks: RawEdge[];
 }
 
-export const contentMap = rawContentMap as RawNode[];
+// The integration regenerates content-map.json before every build, so a
+// checked-in copy can predate newer fields; trust the generator's shape.
+export const contentMap = rawContentMap as unknown as RawNode[];
+
+export interface RelatedNote {
+  id: string;
+  score: number; // 0..1
+  reasons: string[]; // human-readable, e.g. "Shared tags: astro"
+}
+
+/** Node id -> best related notes first (written by the generator) */
+export const relatedNotes = rawRelated as Record<string, RelatedNote[]>;
+
+/** An ordered chain of notes (see src/lib/chains.js) */
+export interface Chain {
+  id: string; // root node id
+  rootId: string;
+  title: string; // root title
+  length: number;
+  depth: number;
+  branches: number;
+  order: string[]; // reading order: depth-first, main line first
+  children: Record<string, string[]>; // first child continues the main line
+}
+
+// JSON imports infer one literal type per chain; widen through unknown
+export const chainList = rawChains as unknown as Chain[];
+
+/** Where a note sits in one chain it belongs to */
+export interface ChainPosition {
+  chain: Chain;
+  path: RawNode[]; // root → … → this note
+  index: number; // 1-based, in reading order
+  previous?: RawNode; // the note this one continues from
+  next?: RawNode; // first successor: the main line
+  branches: RawNode[]; // other successors, where the chain forks
+}
+
+export { PAGE_COLLECTIONS } from './collections.js';
+
+export type PageCollection = (typeof PAGE_COLLECTIONS)[number];
 
 /**
  * Flattened edge used by UI components.
@@ -49,20 +112,59 @@ export interface ContentLink {
   title: string;
   direction: LinkDirection;
   kind: LinkSubsetKind;
+  reasons?: string[]; // why a 'related' entry matched
+  context?: LinkContext; // inbound body links: where this note is mentioned
+}
+
+// ====================================================================
+// Link filters
+// ====================================================================
+
+export interface LinkFilter {
+  direction?: LinkDirection | LinkDirection[];
+  kinds?: LinkSubsetKind[];        // only these kinds
+  excludeKinds?: LinkSubsetKind[]; // everything but these kinds
+  unique?: boolean;                // first link per target id only
 }
 
 /**
- * Look up a node by slug (the slug stored in content-map.json, e.g. "aessay-b").
+ * Named filters for the link components, so "what counts as a backlink"
+ * is decided once.
  */
-export function getNodeBySlug(slug: string): RawNode | undefined {
-  return contentMap.find((node) => node.slug === slug);
+export const LINK_FILTERS = {
+  // Conceptual backlinks: not citations, chain membership or embeds
+  backlinks: { direction: 'inbound', excludeKinds: ['source', 'chains', 'embed'] },
+  // Anything that references this note except as a citation
+  references: { direction: 'inbound', excludeKinds: ['source'] },
+  chainOutbound: { direction: 'chain' },
+  chainInbound: { direction: 'inbound', kinds: ['chains'] },
+  sources: { direction: 'outbound', kinds: ['source'] },
+  resources: { direction: 'outbound', kinds: ['resources'] },
+  embeddedIn: { direction: 'inbound', kinds: ['embed'], unique: true },
+  related: { direction: 'related' },
+} satisfies Record<string, LinkFilter>;
+
+function matchesFilter(link: ContentLink, filter: LinkFilter): boolean {
+  const { direction, kinds, excludeKinds } = filter;
+  if (direction && ![direction].flat().includes(link.direction)) return false;
+  if (kinds && !kinds.includes(link.kind)) return false;
+  if (excludeKinds && excludeKinds.includes(link.kind)) return false;
+  return true;
 }
 
 /**
- * Look up a node by cuid (when present).
+ * Filter a page's flattened links (see flattenNodeLinks).
  */
-export function getNodeByCuid(cuid: string): RawNode | undefined {
-  return contentMap.find((node) => node.cuid === cuid);
+export function filterLinks(links: ContentLink[], filter: LinkFilter = {}): ContentLink[] {
+  const seen = new Set<string>();
+
+  return links.filter((link) => {
+    if (!matchesFilter(link, filter)) return false;
+    if (!filter.unique) return true;
+    if (seen.has(link.id)) return false;
+    seen.add(link.id);
+    return true;
+  });
 }
 
 /**
@@ -80,6 +182,7 @@ export function flattenNodeLinks(node: RawNode): ContentLink[] {
     title: edge.title,
     direction,
     kind: edge.kind,
+    ...(edge.context && { context: edge.context }),
   });
 
   return [
@@ -88,3 +191,322 @@ export function flattenNodeLinks(node: RawNode): ContentLink[] {
     ...node.chainedLinks.map((edge) => mapEdge(edge, 'chain')),
   ];
 }
+
+// ====================================================================
+// Indexed graph
+// ====================================================================
+
+/**
+ * How traversals follow links: along them ('outbound'), against them
+ * ('inbound') or both ways ('both', the default). `kinds` restricts
+ * which link kinds count as edges.
+ */
+export interface TraversalOptions {
+  direction?: 'outbound' | 'inbound' | 'both';
+  kinds?: LinkSubsetKind[];
+}
+
+export interface Graph {
+  readonly nodes: RawNode[];
+  /** By id or cuid */
+  get(idOrCuid: string): RawNode | undefined;
+  getByCuid(cuid: string): RawNode | undefined;
+  /** Slugs repeat across collections; without one, the first match wins */
+  getBySlug(slug: string, collection?: string): RawNode | undefined;
+  /** Case-insensitive; several notes can share a title or alias */
+  findByTitle(title: string): RawNode[];
+  findByAlias(alias: string): RawNode[];
+  /** Case-insensitive */
+  findByTag(tag: string): RawNode[];
+  /** Related (not linked) notes with the reasons they matched */
+  related(id: string): Array<RawNode & RelatedNote>;
+  readonly chains: Chain[];
+  /** One entry per chain the note is part of */
+  chainPositions(id: string): ChainPosition[];
+  /** A wiki-link target, resolved exactly like [[target]] on the site */
+  resolve(target: string): RawNode | undefined;
+  links(id: string, filter?: LinkFilter): ContentLink[];
+  neighbors(id: string, options?: TraversalOptions): RawNode[];
+  /** The node plus everything within `depth` hops, nearest first */
+  neighborhood(id: string, depth: number, options?: TraversalOptions): RawNode[];
+  /** Fewest-hops path including both ends, or null when unconnected */
+  shortestPath(fromId: string, toId: string, options?: TraversalOptions): RawNode[] | null;
+  /** Connected components (links followed both ways), largest first */
+  components(options?: Pick<TraversalOptions, 'kinds'>): RawNode[][];
+}
+
+function addTo<K, V>(index: Map<K, V[]>, key: K, value: V) {
+  const list = index.get(key);
+  if (list) list.push(value);
+  else index.set(key, [value]);
+}
+
+/**
+ * Build lookup indexes over a content map once; every query after that
+ * is a Map lookup or a walk over the links it touches.
+ */
+export function createGraph(
+  nodes: RawNode[],
+  related: Record<string, RelatedNote[]> = {},
+  chains: Chain[] = []
+): Graph {
+  const byId = new Map<string, RawNode>();
+  const byCuid = new Map<string, RawNode>();
+  const bySlug = new Map<string, RawNode[]>();
+  const byTitle = new Map<string, RawNode[]>();
+  const byAlias = new Map<string, RawNode[]>();
+  const byTag = new Map<string, RawNode[]>();
+
+  for (const node of nodes) {
+    byId.set(node.id, node);
+    if (node.cuid) byCuid.set(node.cuid, node);
+    addTo(bySlug, node.slug, node);
+    addTo(byTitle, node.title.toLowerCase(), node);
+    for (const alias of node.aliases) addTo(byAlias, alias.toLowerCase(), node);
+    for (const tag of new Set(node.tags.map((t) => t.toLowerCase()))) {
+      addTo(byTag, tag, node);
+    }
+  }
+
+  // Chain membership + tree parents, for breadcrumbs
+  const chainsById = new Map<string, Chain[]>();
+  const chainParents = new Map<Chain, Map<string, string>>();
+  for (const chain of chains) {
+    for (const id of chain.order) addTo(chainsById, id, chain);
+    const parents = new Map<string, string>();
+    for (const [parent, children] of Object.entries(chain.children)) {
+      for (const child of children) parents.set(child, parent);
+    }
+    chainParents.set(chain, parents);
+  }
+
+  const resolveWikiLink = createWikiLinkResolver(nodes);
+  const linksById = new Map<string, ContentLink[]>();
+
+  const get = (idOrCuid: string) => byId.get(idOrCuid) ?? byCuid.get(idOrCuid);
+
+  function relatedTo(id: string): Array<RawNode & RelatedNote> {
+    const node = get(id);
+    if (!node) return [];
+    return (related[node.id] ?? []).flatMap((match) => {
+      const other = byId.get(match.id);
+      return other ? [{ ...other, ...match }] : [];
+    });
+  }
+
+  function chainPositions(id: string): ChainPosition[] {
+    const node = get(id);
+    if (!node) return [];
+
+    return (chainsById.get(node.id) ?? []).map((chain) => {
+      const parents = chainParents.get(chain)!;
+      const path: RawNode[] = [];
+      for (let at: string | undefined = node.id; at; at = parents.get(at)) {
+        const step = byId.get(at);
+        if (step) path.unshift(step);
+      }
+
+      const [next, ...branches] = (chain.children[node.id] ?? []).flatMap(
+        (child) => byId.get(child) ?? []
+      );
+
+      return {
+        chain,
+        path,
+        index: chain.order.indexOf(node.id) + 1,
+        previous: path.at(-2),
+        next,
+        branches,
+      };
+    });
+  }
+
+  function links(id: string, filter: LinkFilter = {}): ContentLink[] {
+    const node = get(id);
+    if (!node) return [];
+
+    if (!linksById.has(node.id)) {
+      const relatedLinks: ContentLink[] = relatedTo(node.id).map((match) => ({
+        id: match.id,
+        cuid: match.cuid,
+        slug: match.slug,
+        collection: match.collection,
+        title: match.title,
+        direction: 'related',
+        kind: 'related',
+        reasons: match.reasons,
+      }));
+      linksById.set(node.id, [...flattenNodeLinks(node), ...relatedLinks]);
+    }
+    return filterLinks(linksById.get(node.id)!, filter);
+  }
+
+  function neighborIds(node: RawNode, options: TraversalOptions = {}): string[] {
+    const { direction = 'both', kinds } = options;
+    const edges = [
+      ...(direction !== 'inbound' ? node.outboundLinks : []),
+      ...(direction !== 'outbound' ? node.inboundLinks : []),
+    ];
+    const ids = new Set<string>();
+    for (const edge of edges) {
+      if (kinds && !kinds.includes(edge.kind)) continue;
+      if (edge.id !== node.id && byId.has(edge.id)) ids.add(edge.id);
+    }
+    return [...ids];
+  }
+
+  /** Breadth-first search; returns each reached id's predecessor */
+  function bfs(
+    start: RawNode,
+    options: TraversalOptions,
+    maxDepth = Infinity,
+    stopAt?: string
+  ): Map<string, string | null> {
+    const previous = new Map<string, string | null>([[start.id, null]]);
+    let frontier = [start];
+
+    for (let depth = 0; depth < maxDepth && frontier.length > 0; depth++) {
+      const next: RawNode[] = [];
+      for (const current of frontier) {
+        for (const id of neighborIds(current, options)) {
+          if (previous.has(id)) continue;
+          previous.set(id, current.id);
+          if (id === stopAt) return previous;
+          next.push(byId.get(id)!);
+        }
+      }
+      frontier = next;
+    }
+    return previous;
+  }
+
+  return {
+    nodes,
+    get,
+    getByCuid: (cuid) => byCuid.get(cuid),
+    getBySlug(slug, collection) {
+      const matches = bySlug.get(slug) ?? [];
+      return collection ? matches.find((n) => n.collection === collection) : matches[0];
+    },
+    findByTitle: (title) => byTitle.get(title.toLowerCase()) ?? [],
+    findByAlias: (alias) => byAlias.get(alias.toLowerCase()) ?? [],
+    findByTag: (tag) => byTag.get(tag.toLowerCase()) ?? [],
+    related: relatedTo,
+    chains,
+    chainPositions,
+    resolve(target) {
+      const resolution = resolveWikiLink(target);
+      return resolution.status === 'resolved' ? (resolution.entry as RawNode) : undefined;
+    },
+    links,
+    neighbors(id, options) {
+      const node = get(id);
+      return node ? neighborIds(node, options).map((n) => byId.get(n)!) : [];
+    },
+    neighborhood(id, depth, options = {}) {
+      const node = get(id);
+      if (!node) return [];
+      // Map insertion order is BFS order, i.e. nearest first
+      return [...bfs(node, options, depth).keys()].map((n) => byId.get(n)!);
+    },
+    shortestPath(fromId, toId, options = {}) {
+      const from = get(fromId);
+      const to = get(toId);
+      if (!from || !to) return null;
+
+      const previous = bfs(from, options, Infinity, to.id);
+      if (!previous.has(to.id)) return null;
+
+      const path: RawNode[] = [];
+      for (let id: string | null = to.id; id !== null; id = previous.get(id) ?? null) {
+        path.unshift(byId.get(id)!);
+      }
+      return path;
+    },
+    components(options = {}) {
+      const seen = new Set<string>();
+      const result: RawNode[][] = [];
+
+      for (const node of nodes) {
+        if (seen.has(node.id)) continue;
+        const component = [...bfs(node, { ...options, direction: 'both' }).keys()];
+        for (const id of component) seen.add(id);
+        result.push(component.map((id) => byId.get(id)!));
+      }
+      return result.sort((a, b) => b.length - a.length);
+    },
+  };
+}
+
+/** The site's graph, built once per build from content-map.json. */
+export const graph = createGraph(contentMap, relatedNotes, chainList);
+
+/**
+ * Look up a node by slug (the slug stored in content-map.json, e.g. "aessay-b").
+ */
+export function getNodeBySlug(slug: string): RawNode | undefined {
+  return graph.getBySlug(slug);
+}
+
+/**
+ * Look up a node by cuid (when present).
+ */
+export function getNodeByCuid(cuid: string): RawNode | undefined {
+  return graph.getByCuid(cuid);
+}
+
+// ====================================================================
+// Graph view data (/graph and the per-note local graph)
+// ====================================================================
+
+export interface GraphViewNode {
+  id: string;
+  title: string;
+  collection: string;
+  url: string;
+  tags: string[];
+}
+
+export interface GraphViewEdge {
+  source: string; // node id
+  target: string; // node id
+  kind: LinkSubsetKind;
+}
+
+export interface GraphViewData {
+  nodes: GraphViewNode[];
+  edges: GraphViewEdge[];
+}
+
+const isPageNode = (node: RawNode) => isPageCollection(node.collection);
+
+/**
+ * Serializable nodes + edges for the graph view. Only nodes with pages
+ * are kept, and only edges between kept nodes (one per source/target/kind).
+ */
+export function toGraphViewData(nodes: RawNode[]): GraphViewData {
+  const kept = nodes.filter(isPageNode);
+  const ids = new Set(kept.map((node) => node.id));
+  const seen = new Set<string>();
+  const edges: GraphViewEdge[] = [];
+
+  for (const node of kept) {
+    for (const edge of node.outboundLinks) {
+      const key = `${node.id}\u0000${edge.id}\u0000${edge.kind}`;
+      if (!ids.has(edge.id) || edge.id === node.id || seen.has(key)) continue;
+      seen.add(key);
+      edges.push({ source: node.id, target: edge.id, kind: edge.kind });
+    }
+  }
+
+  return {
+    nodes: kept.map((node) => ({
+      id: node.id,
+      title: node.title,
+      collection: node.collection,
+      url: `/${node.collection}/${node.slug}/`,
+      tags: node.tags,
+    })),
+    edges,
+  };
+}
@@ -0,0 +1,224 @@
+// src/lib/health.js
+// Categories of content-health.json and link-health.json, and the
+// thresholds checked against them. Shared by:
+//   - src/scripts/generate-content-map.mjs (--strict / --fail-on)
+//   - src/scripts/check-site.mjs           (--strict / --fail-on)
+//   - src/pages/_health.astro              (dev-only /health report)
+//
+// Category keys are paths into the report ("orphans.strict"), so the
+// same names work on the command line and in the page.
+
+/**
+ * @typedef {{ key:string, label:string, description:string }} HealthCategory
+ */
+
+/** @type {readonly HealthCategory[]} */
+export const HEALTH_CATEGORIES = Object.freeze([
+  {
+    key: "badFiles",
+    label: "Bad files",
+    description: "Files that couldn't be read or whose frontmatter doesn't parse. They are left out of the site.",
+  },
+  {
+    key: "idCollisions",
+    label: "ID collisions",
+    description: "Files that resolve to an id (cuid or slug) already taken by another file. Only the first one is kept.",
+  },
+  {
+    key: "unresolvedWikiLinks",
+    label: "Unresolved wiki-links",
+    description: "Links whose target doesn't exist or matches more than one note.",
+  },
+  {
+    key: "brokenFragments",
+    label: "Broken fragments",
+    description: "[[Note#Heading]] and [[Note#^block]] links to a heading or block the note doesn't have.",
+  },
+  {
+    key: "chainCycles",
+    label: "Chain cycles",
+    description: "`chains` links that lead back into their own chain.",
+  },
+  {
+    key: "aliasConflicts",
+    label: "Alias conflicts",
+    description: "Aliases shared by several notes, or equal to another note's title.",
+  },
+  {
+    key: "unlinkedMentions",
+    label: "Unlinked mentions",
+    description: "Another note's title or alias written as plain text where it could be a [[wiki-link]].",
+  },
+  {
+    key: "tagSlugClashes",
+    label: "Tag slug clashes",
+    description: "Tags with the same URL under /tags/. Only the more used tag gets a page; rename the other.",
+  },
+  {
+    key: "missingCuids",
+    label: "Missing CUIDs",
+    description: "Notes without a `cuid`; their id falls back to the slug and changes when the file is renamed.",
+  },
+  {
+    key: "orphans.strict",
+    label: "Orphans",
+    description: "Notes with no links in or out.",
+  },
+  {
+    key: "orphans.noInbound",
+    label: "No inbound links",
+    description: "Notes nothing links to.",
+  },
+  {
+    key: "orphans.noOutbound",
+    label: "No outbound links",
+    description: "Notes that don't link anywhere.",
+  },
+]);
+
+/**
+ * What `--strict` fails on: problems that lose content or break links.
+ * Missing CUIDs, alias conflicts, unlinked mentions, tag slug clashes
+ * and orphans are reported but allowed.
+ */
+export const STRICT_THRESHOLDS = Object.freeze({
+  badFiles: 0,
+  idCollisions: 0,
+  unresolvedWikiLinks: 0,
+  brokenFragments: 0,
+  chainCycles: 0,
+});
+
+/**
+ * Categories of link-health.json, written by the post-build crawl of
+ * dist/ (src/scripts/check-site.mjs).
+ * @type {readonly HealthCategory[]}
+ */
+export const LINK_HEALTH_CATEGORIES = Object.freeze([
+  {
+    key: "brokenLinks",
+    label: "Broken links",
+    description: "Internal href / src values with no page or file behind them in the build.",
+  },
+  {
+    key: "brokenAnchors",
+    label: "Broken anchors",
+    description: "Links to a #fragment the target page has no element for.",
+  },
+  {
+    key: "placeholderLinks",
+    label: "Placeholder links",
+    description: "href=\"#\" links that go nowhere, such as missing or private wiki-links.",
+  },
+]);
+
+/** What `check-site --strict` fails on; placeholders are reported only */
+export const LINK_STRICT_THRESHOLDS = Object.freeze({
+  brokenLinks: 0,
+  brokenAnchors: 0,
+});
+
+/**
+ * Entries of one category ([] when the report predates it).
+ *
+ * @param {any} contentHealth
+ * @param {string} key  e.g. "badFiles" or "orphans.strict"
+ * @returns {any[]}
+ */
+export function healthEntries(contentHealth, key) {
+  const value = key.split(".").reduce((obj, part) => obj?.[part], contentHealth);
+  return Array.isArray(value) ? value : [];
+}
+
+/**
+ * @param {any} contentHealth
+ * @param {readonly HealthCategory[]} [categories]  which report's categories
+ * @returns {Record<string, number>}  category key -> number of entries
+ */
+export function healthCounts(contentHealth, categories = HEALTH_CATEGORIES) {
+  return Object.fromEntries(
+    categories.map(({ key }) => [key, healthEntries(contentHealth, key).length])
+  );
+}
+
+/**
+ * Parse a `--fail-on` value: comma-separated categories, each with an
+ * optional maximum ("badFiles,unresolvedWikiLinks:20"). A bare category
+ * allows none.
+ *
+ * @param {string} spec
+ * @param {readonly HealthCategory[]} [categories]
+ * @returns {Record<string, number>}
+ * @throws {Error} on unknown categories or invalid maximums
+ */
+export function parseThresholds(spec, categories = HEALTH_CATEGORIES) {
+  const known = new Set(categories.map((c) => c.key));
+  /** @type {Record<string, number>} */
+  const thresholds = {};
+
+  for (const part of String(spec).split(",")) {
+    const [key, max = "0", ...rest] = part.trim().split(":");
+    if (!key) continue;
+
+    if (!known.has(key)) {
+      throw new Error(
+        `Unknown health category "${key}" (expected one of: ${[...known].join(", ")})`
+      );
+    }
+    if (rest.length > 0 || !/^\d+$/.test(max)) {
+      throw new Error(`Invalid maximum for "${key}": "${part.trim()}" (expected ${key}:<count>)`);
+    }
+    thresholds[key] = Number(max);
+  }
+  return thresholds;
+}
+
+/**
+ * Categories over their threshold.
+ *
+ * @param {any} contentHealth
+ * @param {Record<string, number>} thresholds  category key -> maximum allowed
+ * @param {readonly HealthCategory[]} [categories]
+ * @returns {Array<{ key:string, label:string, count:number, max:number }>}
+ */
+export function checkHealth(contentHealth, thresholds, categories = HEALTH_CATEGORIES) {
+  const counts = healthCounts(contentHealth, categories);
+  return categories.filter(
+    ({ key }) => key in thresholds && counts[key] > thresholds[key]
+  ).map(({ key, label }) => ({ key, label, count: counts[key], max: thresholds[key] }));
+}
+
+/**
+ * Health thresholds from the command line:
+ *   --strict                  fail on the strict set (STRICT_THRESHOLDS by default)
+ *   --fail-on=<categories>    fail on these, e.g. "badFiles,missingCuids:150"
+ * Both can be combined; --fail-on wins for categories given in both.
+ *
+ * @param {string[]} args
+ * @param {{ strict?:Record<string, number>, categories?:readonly HealthCategory[] }} [report]
+ *   which report the flags apply to (content-health.json by default)
+ * @returns {Record<string, number> | null}  null when no check was asked for
+ * @throws {Error} on a bad --fail-on value
+ */
+export function thresholdsFromArgs(
+  args,
+  { strict = STRICT_THRESHOLDS, categories = HEALTH_CATEGORIES } = {}
+) {
+  let thresholds = null;
+
+  if (args.includes("--strict")) thresholds = { ...strict };
+
+  args.forEach((arg, i) => {
+    let spec;
+    if (arg.startsWith("--fail-on=")) spec = arg.slice("--fail-on=".length);
+    else if (arg === "--fail-on") spec = args[i + 1];
+    else return;
+
+    if (!spec || spec.startsWith("--")) {
+      throw new Error("--fail-on needs a list of categories, e.g. --fail-on=badFiles,idCollisions");
+    }
+    thresholds = { ...thresholds, ...parseThresholds(spec, categories) };
+  });
+
+  return thresholds;
+}
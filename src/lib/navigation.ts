@@ -0,0 +1,35 @@
+// src/lib/navigation.ts
+// The site's navigation links, in one place. Shared by:
+//   - src/components/navs/NavMain.astro  (header: brand, menu, theme)
+//   - src/components/Navigation.astro    (the link list itself)
+
+export interface NavItem {
+  label: string;
+  href: string;
+  // Other path prefixes that belong to this section (posts under Blog)
+  also?: string[];
+}
+
+export const NAV_LINKS: readonly NavItem[] = [
+  { label: 'Notes', href: '/notes/' },
+  { label: 'Essays', href: '/essays/' },
+  { label: 'Lab', href: '/lab/' },
+  { label: 'Projects', href: '/projects/' },
+  { label: 'Tags', href: '/tags/' },
+  { label: 'Blog', href: '/blog/', also: ['/posts/'] },
+  { label: 'Search', href: '/search/' },
+];
+
+const withSlash = (path: string) => (path.endsWith('/') ? path : `${path}/`);
+
+/**
+ * aria-current for a nav link on the page at `pathname`: "page" on the
+ * section's own index, "true" anywhere inside it (/notes/alpha/ under
+ * Notes), undefined elsewhere.
+ */
+export function navCurrent(item: NavItem, pathname: string): 'page' | 'true' | undefined {
+  const path = withSlash(pathname);
+  if (path === item.href) return 'page';
+  const prefixes = [item.href, ...(item.also ?? [])];
+  return prefixes.some((prefix) => path.startsWith(prefix)) ? 'true' : undefined;
+}
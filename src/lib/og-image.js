@@ -0,0 +1,166 @@
+// src/lib/og-image.js
+// Open Graph / Twitter card images, drawn at build time. Shared by:
+//   - src/pages/og/[...image].png.ts (one PNG per page)
+//
+// Text is set in the site's own New Atten (public/fonts): fontkit turns
+// each line into glyph outlines, so the SVG needs no installed fonts,
+// and sharp rasterizes it. Nothing is fetched from anywhere.
+
+import path from "node:path";
+import * as fontkit from "fontkit";
+import sharp from "sharp";
+
+export const OG_WIDTH = 1200;
+export const OG_HEIGHT = 630;
+
+const PADDING = 80;
+const COLORS = {
+  background: "#F8FCFD",
+  accent: "#00539F",
+  text: "#1a202c",
+  muted: "#4a5568",
+  pill: "#e2e8f0",
+};
+
+const FONT_FILES = {
+  title: "new-atten-bold.woff2",
+  label: "new-atten-medium.woff2",
+  body: "new-atten-regular.woff2",
+};
+
+/** @type {Map<string, Record<keyof FONT_FILES, any>>} */
+const fontCache = new Map();
+
+/**
+ * The card's fonts, opened once per directory.
+ * @param {string} [fontDir]  defaults to public/fonts under the cwd
+ */
+export function loadOgFonts(fontDir = path.resolve("public", "fonts")) {
+  if (!fontCache.has(fontDir)) {
+    const fonts = {};
+    for (const [role, file] of Object.entries(FONT_FILES)) {
+      fonts[role] = fontkit.openSync(path.join(fontDir, file));
+    }
+    fontCache.set(fontDir, fonts);
+  }
+  return fontCache.get(fontDir);
+}
+
+const textWidth = (font, text, size) => (font.layout(text).advanceWidth * size) / font.unitsPerEm;
+
+/**
+ * One line of text as an SVG <path>, left edge at x, baseline at y.
+ */
+function textPath(font, text, size, x, y, fill) {
+  const run = font.layout(text);
+  const scale = size / font.unitsPerEm;
+  let pen = 0;
+  const parts = [];
+
+  run.glyphs.forEach((glyph, i) => {
+    const position = run.positions[i];
+    const d = glyph.path.toSVG();
+    if (d) {
+      const gx = x + (pen + position.xOffset) * scale;
+      const gy = y - position.yOffset * scale;
+      parts.push(`<path transform="translate(${gx.toFixed(2)} ${gy.toFixed(2)}) scale(${scale} ${-scale})" d="${d}"/>`);
+    }
+    pen += position.xAdvance;
+  });
+
+  return `<g fill="${fill}">${parts.join("")}</g>`;
+}
+
+/**
+ * Greedy word wrap; the last line gets "…" when text is left over.
+ * Words wider than a line are kept whole (they are rare in titles).
+ */
+function wrapText(font, text, size, maxWidth, maxLines) {
+  const words = String(text).split(/\s+/).filter(Boolean);
+  const lines = [];
+  let line = "";
+
+  for (const word of words) {
+    const candidate = line ? `${line} ${word}` : word;
+    if (!line || textWidth(font, candidate, size) <= maxWidth) {
+      line = candidate;
+      continue;
+    }
+    lines.push(line);
+    line = word;
+  }
+  if (line) lines.push(line);
+  if (lines.length <= maxLines) return lines;
+
+  const kept = lines.slice(0, maxLines);
+  let last = kept[maxLines - 1];
+  while (last.includes(" ") && textWidth(font, `${last}…`, size) > maxWidth) {
+    last = last.slice(0, last.lastIndexOf(" "));
+  }
+  kept[maxLines - 1] = `${last.replace(/[\s.,;:]+$/, "")}…`;
+  return kept;
+}
+
+/**
+ * @typedef {{
+ *   title:string,
+ *   label?:string,    // small caps line above the title, e.g. "Notes"
+ *   tags?:string[],
+ *   siteName:string,
+ * }} OgCard
+ */
+
+/**
+ * The card as an SVG string (text as outlines).
+ * @param {OgCard} card
+ */
+export function renderOgSvg({ title, label, tags = [], siteName }, fonts = loadOgFonts()) {
+  const width = OG_WIDTH - PADDING * 2;
+  const parts = [
+    `<rect width="${OG_WIDTH}" height="${OG_HEIGHT}" fill="${COLORS.background}"/>`,
+    `<rect width="${OG_WIDTH}" height="12" fill="${COLORS.accent}"/>`,
+  ];
+
+  if (label) {
+    parts.push(textPath(fonts.label, label.toUpperCase(), 30, PADDING, PADDING + 40, COLORS.accent));
+  }
+
+  // Shorter titles get bigger type
+  const titleSize = title.length > 60 ? 60 : 76;
+  const lineHeight = titleSize * 1.15;
+  const lines = wrapText(fonts.title, title, titleSize, width, 3);
+  lines.forEach((line, i) => {
+    const baseline = PADDING + 110 + titleSize + i * lineHeight;
+    parts.push(textPath(fonts.title, line, titleSize, PADDING, baseline, COLORS.text));
+  });
+
+  // Tags as pills along the bottom, as many as fit beside the site name
+  const footerY = OG_HEIGHT - PADDING;
+  const siteWidth = textWidth(fonts.body, siteName, 30);
+  parts.push(
+    textPath(fonts.body, siteName, 30, OG_WIDTH - PADDING - siteWidth, footerY, COLORS.muted)
+  );
+
+  let x = PADDING;
+  for (const tag of tags) {
+    const text = `#${tag}`;
+    const pillWidth = textWidth(fonts.label, text, 26) + 32;
+    if (x + pillWidth > OG_WIDTH - PADDING - siteWidth - 32) break;
+    parts.push(
+      `<rect x="${x}" y="${footerY - 36}" width="${pillWidth.toFixed(2)}" height="48" rx="10" fill="${COLORS.pill}"/>`,
+      textPath(fonts.label, text, 26, x + 16, footerY - 3, COLORS.muted)
+    );
+    x += pillWidth + 12;
+  }
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${OG_WIDTH}" height="${OG_HEIGHT}" viewBox="0 0 ${OG_WIDTH} ${OG_HEIGHT}">${parts.join("")}</svg>`;
+}
+
+/**
+ * The card as a PNG.
+ * @param {OgCard} card
+ * @returns {Promise<Buffer>}
+ */
+export function renderOgImage(card, fonts = loadOgFonts()) {
+  return sharp(Buffer.from(renderOgSvg(card, fonts))).png().toBuffer();
+}
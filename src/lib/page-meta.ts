@@ -0,0 +1,97 @@
+// src/lib/page-meta.ts
+// Everything BaseLayout puts in <head> besides the title: description,
+// canonical URL, Open Graph / Twitter card and JSON-LD (schema.org
+// Article and BreadcrumbList). Absolute URLs come from `site` in
+// astro.config.mjs.
+
+import type { CollectionEntry } from 'astro:content';
+
+import type { PageCollection } from './graph';
+import { SITE_TITLE } from './consts';
+
+export interface PageMeta {
+  description?: string;
+  path?: string; // canonical path; defaults to the page's own
+  image?: string; // site-relative; defaults to the site card
+  type?: 'website' | 'article';
+  published?: Date;
+  modified?: Date;
+  author?: string;
+  tags?: string[];
+  section?: { title: string; path: string }; // breadcrumb parent, e.g. Notes
+}
+
+/** Card for pages without their own (see src/pages/og/[...image].png.ts) */
+export const DEFAULT_OG_IMAGE = '/og/site.png';
+
+export const ogImagePath = (collection: string, id: string) => `/og/${collection}/${id}.png`;
+
+export const collectionLabel = (collection: string) =>
+  collection[0].toUpperCase() + collection.slice(1);
+
+/** Head metadata for a note, essay or project page */
+export function entryMeta(entry: CollectionEntry<PageCollection>): PageMeta {
+  const { data } = entry;
+  return {
+    description: data.description || undefined,
+    path: `/${entry.collection}/${entry.id}/`,
+    image: ogImagePath(entry.collection, entry.id),
+    type: 'article',
+    published: data.date,
+    modified: data.dateUpdated,
+    author: data.author,
+    tags: data.tags,
+    section: { title: collectionLabel(entry.collection), path: `/${entry.collection}/` },
+  };
+}
+
+/**
+ * JSON-LD objects for a page: an Article for articles, plus a
+ * BreadcrumbList (Home › Section › Page) when the page has a section.
+ */
+export function structuredData(title: string, meta: PageMeta, site: URL): object[] {
+  const url = new URL(meta.path ?? '/', site).href;
+  const image = new URL(meta.image ?? DEFAULT_OG_IMAGE, site).href;
+  const result: object[] = [];
+
+  if (meta.type === 'article') {
+    result.push({
+      '@context': 'https://schema.org',
+      '@type': 'Article',
+      headline: title,
+      description: meta.description,
+      url,
+      mainEntityOfPage: url,
+      image,
+      datePublished: meta.published?.toISOString(),
+      dateModified: (meta.modified ?? meta.published)?.toISOString(),
+      author: { '@type': 'Person', name: meta.author ?? SITE_TITLE, url: site.href },
+      publisher: { '@type': 'Person', name: SITE_TITLE, url: site.href },
+      keywords: meta.tags?.length ? meta.tags.join(', ') : undefined,
+      articleSection: meta.section?.title,
+    });
+  }
+
+  if (meta.section) {
+    const crumbs = [
+      { name: SITE_TITLE, path: '/' },
+      { name: meta.section.title, path: meta.section.path },
+      { name: title, path: meta.path ?? '/' },
+    ];
+    result.push({
+      '@context': 'https://schema.org',
+      '@type': 'BreadcrumbList',
+      itemListElement: crumbs.map((crumb, i) => ({
+        '@type': 'ListItem',
+        position: i + 1,
+        name: crumb.name,
+        item: new URL(crumb.path, site).href,
+      })),
+    });
+  }
+
+  return result;
+}
+
+/** JSON for a <script type="application/ld+json">, safe to inline */
+export const jsonLd = (data: object) => JSON.stringify(data).replace(/</g, '\\u003c');
@@ -0,0 +1,15 @@
+// src/lib/private-links.ts
+// Recognise wiki-links into private notes (visibility: private, see
+// src/lib/publishing.js) in pages that turn raw markdown into text:
+// previews and the search index. The list comes from the content-map
+// integration at build time and is never written to src/data.
+
+import privateNotes from 'virtual:content-map/private-notes';
+import { createWikiLinkResolver } from './wiki-links.js';
+
+const resolvePrivate = createWikiLinkResolver(privateNotes);
+
+/** Whether `[[title]]` points at a private note */
+export function isPrivateLink(title: string): boolean {
+  return resolvePrivate(title).status !== 'unresolved';
+}
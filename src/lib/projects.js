@@ -0,0 +1,104 @@
+// src/lib/projects.js
+// Project metadata. Shared by:
+//   - src/content.config.ts              (projects schema)
+//   - src/layouts/ProjectLayout.astro    (facts on the project page)
+//   - src/pages/projects/index.astro     (status board, stack filter)
+//
+// Frontmatter of files in src/content/projects:
+//   status: planned | in-progress | paused | shipped | archived
+//                                  ("In Progress", "active", "done", …
+//                                   are accepted, see STATUS_ALIASES)
+//   stack: Astro, TypeScript       (list or comma-separated)
+//   repo: https://github.com/…
+//   role: Solo developer
+//   dateStarted / dateFinished
+//
+// `status` is also the publishing status (src/lib/publishing.js): project
+// values other than "archived" read as published there, and an archived
+// project leaves the feeds like an archived note. `status: draft` and
+// `status: published` only set the publishing state; the board files
+// those projects under DEFAULT_PROJECT_STATUS.
+
+import { normalizeString, normalizeStringList } from "./frontmatter.js";
+import { PUBLISH_STATUSES } from "./publishing.js";
+
+/**
+ * In board order: what's moving first.
+ * @type {readonly ["in-progress", "planned", "paused", "shipped", "archived"]}
+ */
+export const PROJECT_STATUSES = Object.freeze([
+  "in-progress",
+  "planned",
+  "paused",
+  "shipped",
+  "archived",
+]);
+
+/** Projects without a project status of their own */
+export const DEFAULT_PROJECT_STATUS = "planned";
+
+export const PROJECT_STATUS_LABELS = Object.freeze({
+  "in-progress": "In progress",
+  planned: "Planned",
+  paused: "Paused",
+  shipped: "Shipped",
+  archived: "Archived",
+});
+
+/** Other ways of writing a status (after lowercasing and hyphenating) */
+const STATUS_ALIASES = {
+  active: "in-progress",
+  wip: "in-progress",
+  ongoing: "in-progress",
+  idea: "planned",
+  "on-hold": "paused",
+  done: "shipped",
+  complete: "shipped",
+  completed: "shipped",
+  live: "shipped",
+};
+
+/**
+ * "In Progress" -> "in-progress", "done" -> "shipped". Publishing
+ * statuses pass through; other values are returned as written (hyphenated)
+ * for the schema to reject.
+ *
+ * @returns {string}  "" when missing
+ */
+export function normalizeProjectStatus(value) {
+  const status = normalizeString(value).toLowerCase().replace(/[\s_]+/g, "-");
+  return STATUS_ALIASES[status] ?? status;
+}
+
+/**
+ * Values the projects schema accepts for `status`: the project statuses
+ * plus the publishing ones they don't already include.
+ * @type {readonly ["in-progress", "planned", "paused", "shipped", "archived", "draft", "published"]}
+ */
+export const PROJECT_STATUS_VALUES = Object.freeze([
+  ...PROJECT_STATUSES,
+  ...PUBLISH_STATUSES.filter((status) => !PROJECT_STATUSES.includes(status)),
+]);
+
+/**
+ * The board column for a project's (normalized) status.
+ * @returns {typeof PROJECT_STATUSES[number]}
+ */
+export function projectStatus(status) {
+  const normalized = normalizeProjectStatus(status);
+  return PROJECT_STATUSES.includes(normalized) ? normalized : DEFAULT_PROJECT_STATUS;
+}
+
+/** "Astro, TypeScript" -> ["Astro", "TypeScript"], first spelling wins */
+export function normalizeStack(value) {
+  const seen = new Set();
+  return normalizeStringList(value).filter((item) => {
+    const key = stackKey(item);
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+/** Case-insensitive key for filtering by stack ("Node.js" -> "node.js") */
+export const stackKey = (item) => normalizeString(item).toLowerCase();
@@ -0,0 +1,127 @@
+// src/lib/publishing.js
+// Which vault files become pages. Shared by:
+//   - src/content.config.ts                (collection loaders)
+//   - src/scripts/generate-content-map.mjs (content map, graph, health)
+//   - src/plugins/remark-wiki-link.js      (links into private notes)
+//   - src/pages/feeds/[...feed].ts         (what counts as new)
+//   - src/integrations/content-map.js      (whether this run previews drafts)
+//
+// Frontmatter:
+//   status: draft | published | archived   (default published; `draft: true`
+//                                           still works; other values, like a
+//                                           project's "active", are ignored)
+//   publishAt: 2025-06-01T09:00            (not published before then; the
+//                                           site is static, so it appears on
+//                                           the first build after that time)
+//   visibility: public | private           (private is never published and
+//                                           links to it don't reveal its title)
+//
+// Drafts and scheduled notes are previewed in dev; private ones never are.
+// Archived notes keep their pages but leave the feeds.
+
+import { normalizeString } from "./frontmatter.js";
+
+/** @type {readonly ["draft", "published", "archived"]} */
+export const PUBLISH_STATUSES = Object.freeze(["draft", "published", "archived"]);
+
+/** @type {readonly ["public", "private"]} */
+export const VISIBILITIES = Object.freeze(["public", "private"]);
+
+/** What a link into a private note says when it has no alias */
+export const PRIVATE_LINK_TEXT = "private note";
+
+/**
+ * @typedef {{
+ *   status:"draft"|"published"|"archived",
+ *   publishAt:Date|null,
+ *   visibility:"public"|"private",
+ * }} Publishing
+ */
+
+/** "" / missing -> "public"; anything but public/private throws */
+export function normalizeVisibility(value) {
+  const visibility = normalizeString(value).toLowerCase() || "public";
+  if (!VISIBILITIES.includes(visibility)) {
+    throw new Error(`visibility must be one of ${VISIBILITIES.join(", ")} (got "${value}")`);
+  }
+  return visibility;
+}
+
+/** Missing -> null; unparseable throws rather than publishing early */
+export function normalizePublishAt(value) {
+  if (value === null || value === undefined || value === "") return null;
+  const date = value instanceof Date ? value : new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`publishAt is not a date (got "${value}")`);
+  }
+  return date;
+}
+
+/**
+ * Publishing fields from raw frontmatter or a parsed collection entry's
+ * `data` (both carry the same keys).
+ *
+ * @returns {Publishing}
+ */
+export function readPublishing(fm) {
+  const status = normalizeString(fm.status).toLowerCase();
+  return {
+    status:
+      fm.draft === true ? "draft" : PUBLISH_STATUSES.includes(status) ? status : "published",
+    publishAt: normalizePublishAt(fm.publishAt),
+    visibility: normalizeVisibility(fm.visibility),
+  };
+}
+
+/** Published and past its publishAt */
+export function isLive(publishing, now = new Date()) {
+  return (
+    publishing.visibility === "public" &&
+    publishing.status !== "draft" &&
+    (!publishing.publishAt || publishing.publishAt <= now)
+  );
+}
+
+/**
+ * Whether the file gets a page (and a place in the graph).
+ * @param {Publishing} publishing
+ * @param {{ drafts?:boolean, now?:Date }} [options]  drafts: preview drafts
+ *   and scheduled notes (dev)
+ */
+export function isPublished(publishing, { drafts = false, now = new Date() } = {}) {
+  if (publishing.visibility === "private") return false;
+  return drafts || isLive(publishing, now);
+}
+
+// The content-map integration decides once per run (`astro dev` previews
+// drafts) and the collection loaders read it back. They are loaded by
+// Vite in their own module graph, so the flag lives on globalThis rather
+// than in this module.
+const PREVIEW_DRAFTS = Symbol.for("content-map.previewDrafts");
+
+/** Set by the content-map integration in astro:config:setup */
+export function setPreviewDrafts(drafts) {
+  globalThis[PREVIEW_DRAFTS] = Boolean(drafts);
+}
+
+/** Whether this run previews drafts and scheduled notes (false until set) */
+export function previewDrafts() {
+  return globalThis[PREVIEW_DRAFTS] === true;
+}
+
+/** Live and not archived: belongs in feeds */
+export function isListed(publishing, now = new Date()) {
+  return isLive(publishing, now) && publishing.status !== "archived";
+}
+
+/**
+ * Why a previewed page isn't live yet, for the dev banner.
+ * @returns {{ kind:"draft" } | { kind:"scheduled", publishAt:Date } | null}
+ */
+export function previewNotice(publishing, now = new Date()) {
+  if (publishing.status === "draft") return { kind: "draft" };
+  if (publishing.publishAt && publishing.publishAt > now) {
+    return { kind: "scheduled", publishAt: publishing.publishAt };
+  }
+  return null;
+}
@@ -0,0 +1,271 @@
+// src/lib/related.js
+// Build-time "related notes": which notes are conceptually close even
+// though neither links to the other. Used by
+// src/scripts/generate-content-map.mjs, which writes src/data/related.json.
+//
+// A pair's score mixes four signals, each normalised to 0..1:
+//   - tags       shared tags (Jaccard over lower-cased tags)
+//   - cocitation both notes are linked from the same note(s)
+//   - neighbors  both notes link to / are linked from the same notes
+//   - text       TF-IDF cosine similarity of the body text
+
+import { parseWikiLinkBody } from "./wiki-links.js";
+
+const WEIGHTS = { tags: 0.3, cocitation: 0.25, neighbors: 0.2, text: 0.25 };
+
+/** Results per note, and the minimum score worth showing. */
+const MAX_RELATED = 5;
+const MIN_SCORE = 0.1;
+
+// Common English words that carry no topical meaning
+const STOPWORDS = new Set(
+  (
+    "about above after again against all also and any are because been before being below between both but " +
+    "can could did does doing down during each few for from further had has have having her here hers herself " +
+    "him himself his how into its itself just more most myself nor not now off once only other our ours " +
+    "ourselves out over own same she should some such than that the their theirs them themselves then there " +
+    "these they this those through too under until very was were what when where which while who whom why " +
+    "will with would you your yours yourself yourselves one two get got like make made much many may might " +
+    "must really thing things way well use used using see"
+  ).split(" ")
+);
+
+// ====================================================================
+// Text
+// ====================================================================
+
+/**
+ * Term counts for a markdown body. Code is dropped, wiki-links count as
+ * their display text, URLs are ignored, words under 3 letters and
+ * stopwords are skipped.
+ *
+ * @param {string} body  markdown without frontmatter
+ * @returns {Record<string, number>}
+ */
+export function termFrequencies(body) {
+  const text = String(body || "")
+    .replace(/^(```|~~~)[^\n]*\n[\s\S]*?^\1[^\n]*$/gm, " ")
+    .replace(/`[^`\n]*`/g, " ")
+    .replace(/!?\[\[([^[\]]+)\]\]/g, (_, inner) => {
+      const { title, alias } = parseWikiLinkBody(inner);
+      return ` ${alias || title} `;
+    })
+    .replace(/\]\([^)]*\)/g, "] ")
+    .replace(/https?:\/\/\S+/g, " ")
+    .toLowerCase();
+
+  /** @type {Record<string, number>} */
+  const counts = {};
+  for (const word of text.match(/[\p{L}\p{N}]+/gu) || []) {
+    if (word.length < 3 || STOPWORDS.has(word) || /^\d+$/.test(word)) continue;
+    counts[word] = (counts[word] || 0) + 1;
+  }
+  return counts;
+}
+
+/**
+ * Unit-length TF-IDF vectors, one per document.
+ *
+ * @param {Map<string, Record<string, number>>} termsById
+ * @returns {Map<string, Map<string, number>>}
+ */
+function tfidfVectors(termsById) {
+  const docFrequency = new Map();
+  for (const terms of termsById.values()) {
+    for (const term of Object.keys(terms)) {
+      docFrequency.set(term, (docFrequency.get(term) || 0) + 1);
+    }
+  }
+
+  const total = termsById.size;
+  const vectors = new Map();
+
+  for (const [id, terms] of termsById) {
+    const vector = new Map();
+    let norm = 0;
+
+    for (const [term, count] of Object.entries(terms)) {
+      const df = docFrequency.get(term);
+      // Terms in one document can't relate two; terms in all of them don't discriminate
+      if (df < 2 || df === total) continue;
+      const weight = (1 + Math.log(count)) * Math.log(total / df);
+      vector.set(term, weight);
+      norm += weight * weight;
+    }
+
+    norm = Math.sqrt(norm);
+    for (const [term, weight] of vector) vector.set(term, weight / norm);
+    vectors.set(id, vector);
+  }
+  return vectors;
+}
+
+// ====================================================================
+// Scoring
+// ====================================================================
+
+function jaccard(a, b) {
+  if (a.size === 0 || b.size === 0) return { score: 0, shared: [] };
+  const shared = [...a].filter((x) => b.has(x));
+  return { score: shared.length / (a.size + b.size - shared.length), shared };
+}
+
+const pairKey = (a, b) => (a < b ? `${a}\u0000${b}` : `${b}\u0000${a}`);
+
+/**
+ * @typedef {{
+ *   id:string,
+ *   title:string,
+ *   tags:string[],
+ *   terms:Record<string, number>,
+ *   outboundLinks:Array<{ id:string }>,
+ *   inboundLinks:Array<{ id:string }>,
+ * }} RelatedInput
+ *
+ * @typedef {{ id:string, score:number, reasons:string[] }} RelatedNote
+ */
+
+/**
+ * Top related notes for every node. Pairs that already link to each
+ * other are skipped — readers see those as links/backlinks.
+ *
+ * @param {RelatedInput[]} nodes
+ * @returns {Record<string, RelatedNote[]>}  node id -> best matches first
+ */
+export function computeRelated(nodes) {
+  const byId = new Map(nodes.map((n) => [n.id, n]));
+
+  const linked = new Set();
+  const neighbors = new Map();
+  for (const node of nodes) {
+    const ids = new Set();
+    for (const edge of [...node.outboundLinks, ...node.inboundLinks]) {
+      if (edge.id === node.id) continue;
+      ids.add(edge.id);
+      linked.add(pairKey(node.id, edge.id));
+    }
+    neighbors.set(node.id, ids);
+  }
+
+  const tagsById = new Map(
+    nodes.map((n) => [n.id, new Set(n.tags.map((t) => t.toLowerCase()))])
+  );
+  const vectors = tfidfVectors(new Map(nodes.map((n) => [n.id, n.terms || {}])));
+
+  // Only score pairs with at least one signal in common
+  /** @type {Map<string, { a:string, b:string, citedBy:Set<string>, text:number, terms:Array<[string, number]> }>} */
+  const pairs = new Map();
+  const pair = (a, b) => {
+    const key = pairKey(a, b);
+    if (!pairs.has(key)) {
+      pairs.set(key, { a, b, citedBy: new Set(), text: 0, terms: [] });
+    }
+    return pairs.get(key);
+  };
+
+  // Co-citation: every pair of notes linked from the same note
+  for (const node of nodes) {
+    const targets = [...new Set(node.outboundLinks.map((e) => e.id))].filter(
+      (id) => id !== node.id && byId.has(id)
+    );
+    for (let i = 0; i < targets.length; i++) {
+      for (let j = i + 1; j < targets.length; j++) {
+        pair(targets[i], targets[j]).citedBy.add(node.id);
+      }
+    }
+  }
+
+  // Shared neighbours and tags: pairs reachable through one hop / one tag
+  for (const ids of neighbors.values()) {
+    const list = [...ids].filter((id) => byId.has(id));
+    for (let i = 0; i < list.length; i++) {
+      for (let j = i + 1; j < list.length; j++) pair(list[i], list[j]);
+    }
+  }
+  const byTag = new Map();
+  for (const [id, tags] of tagsById) {
+    for (const tag of tags) {
+      if (!byTag.has(tag)) byTag.set(tag, []);
+      byTag.get(tag).push(id);
+    }
+  }
+  for (const ids of byTag.values()) {
+    for (let i = 0; i < ids.length; i++) {
+      for (let j = i + 1; j < ids.length; j++) pair(ids[i], ids[j]);
+    }
+  }
+
+  // Text: dot products through an inverted index (vectors are unit length)
+  const postings = new Map();
+  for (const [id, vector] of vectors) {
+    for (const [term, weight] of vector) {
+      if (!postings.has(term)) postings.set(term, []);
+      postings.get(term).push([id, weight]);
+    }
+  }
+  for (const [term, list] of postings) {
+    for (let i = 0; i < list.length; i++) {
+      for (let j = i + 1; j < list.length; j++) {
+        const contribution = list[i][1] * list[j][1];
+        const p = pair(list[i][0], list[j][0]);
+        p.text += contribution;
+        p.terms.push([term, contribution]);
+      }
+    }
+  }
+
+  /** @type {Record<string, RelatedNote[]>} */
+  const related = Object.fromEntries(nodes.map((n) => [n.id, []]));
+
+  for (const [key, p] of pairs) {
+    if (linked.has(key) || p.a === p.b) continue;
+
+    const tags = jaccard(tagsById.get(p.a), tagsById.get(p.b));
+    const shared = jaccard(neighbors.get(p.a), neighbors.get(p.b));
+    const cocitation = p.citedBy.size / (p.citedBy.size + 1);
+
+    const score =
+      WEIGHTS.tags * tags.score +
+      WEIGHTS.cocitation * cocitation +
+      WEIGHTS.neighbors * shared.score +
+      WEIGHTS.text * Math.min(p.text, 1);
+    if (score < MIN_SCORE) continue;
+
+    const reasons = [];
+    if (tags.shared.length > 0) {
+      reasons.push(`Shared tags: ${tags.shared.sort().join(", ")}`);
+    }
+    if (p.citedBy.size > 0) {
+      const titles = [...p.citedBy].map((id) => byId.get(id).title).sort();
+      reasons.push(`Both linked from ${formatList(titles)}`);
+    }
+    // Co-citing notes are shared neighbours too; only mention the rest
+    const count = shared.shared.filter((id) => !p.citedBy.has(id)).length;
+    if (count > 0) {
+      reasons.push(`${count} shared ${count === 1 ? "connection" : "connections"}`);
+    }
+    if (p.text >= 0.1) {
+      const terms = p.terms
+        .sort((x, y) => y[1] - x[1] || x[0].localeCompare(y[0]))
+        .slice(0, 3)
+        .map(([term]) => term);
+      reasons.push(`Similar wording: ${terms.join(", ")}`);
+    }
+
+    const rounded = Math.round(score * 1000) / 1000;
+    related[p.a].push({ id: p.b, score: rounded, reasons });
+    related[p.b].push({ id: p.a, score: rounded, reasons });
+  }
+
+  for (const id of Object.keys(related)) {
+    related[id] = related[id]
+      .sort((x, y) => y.score - x.score || x.id.localeCompare(y.id))
+      .slice(0, MAX_RELATED);
+  }
+  return related;
+}
+
+function formatList(items, max = 2) {
+  if (items.length <= max) return items.join(" and ");
+  return `${items.slice(0, max).join(", ")} and ${items.length - max} more`;
+}
@@ -0,0 +1,257 @@
+// src/lib/search.js
+// Full-text search over notes, essays and projects. Shared by:
+//   - src/pages/search-index.json.ts (builds the index at build time)
+//   - src/scripts/search-ui.js       (queries it in the browser)
+//
+// Both sides must tokenize the same way, so this file has no Node or
+// DOM dependencies.
+//
+// The index is inverted: term -> flat [doc, score, doc, score, ...] list.
+// A term's score in a document adds up its fields, weighted so a match
+// in the title beats one in an alias, a heading or the body.
+
+export const FIELD_WEIGHTS = Object.freeze({
+  title: 10,
+  aliases: 8,
+  headings: 4,
+  body: 1,
+});
+
+/** Query terms matching only as a prefix of an indexed term count this much */
+const PREFIX_FACTOR = 0.6;
+
+/** Lower-case, without accents: "Café" -> "cafe" */
+export function foldText(text) {
+  return String(text || "")
+    .normalize("NFD")
+    .replace(/\p{M}/gu, "")
+    .toLowerCase();
+}
+
+const WORD = /[\p{L}\p{N}]+/gu;
+
+/**
+ * Search terms in `text`: folded words, single characters skipped.
+ * @returns {string[]}
+ */
+export function tokenize(text) {
+  return (foldText(text).match(WORD) || []).filter((word) => word.length > 1);
+}
+
+/**
+ * @typedef {{
+ *   title:string,
+ *   collection:string,
+ *   slug:string,
+ *   aliases:string[],
+ *   headings:string[],
+ *   text:string,          // plain body text, for snippets
+ * }} SearchDoc
+ *
+ * @typedef {{ docs:SearchDoc[], terms:Record<string, number[]> }} SearchIndex
+ */
+
+/**
+ * @param {SearchDoc[]} docs
+ * @returns {SearchIndex}
+ */
+export function buildSearchIndex(docs) {
+  /** @type {Map<string, Map<number, number>>} */
+  const postings = new Map();
+
+  docs.forEach((doc, i) => {
+    const fields = {
+      title: [doc.title],
+      aliases: doc.aliases,
+      headings: doc.headings,
+      body: [doc.text],
+    };
+
+    for (const [field, values] of Object.entries(fields)) {
+      const counts = new Map();
+      for (const term of values.flatMap(tokenize)) {
+        counts.set(term, (counts.get(term) || 0) + 1);
+      }
+      for (const [term, count] of counts) {
+        if (!postings.has(term)) postings.set(term, new Map());
+        const scores = postings.get(term);
+        // Repeats count, but a word used 50 times isn't 50x as relevant
+        const score = FIELD_WEIGHTS[field] * (1 + Math.log(count));
+        scores.set(i, (scores.get(i) || 0) + score);
+      }
+    }
+  });
+
+  /** @type {Record<string, number[]>} */
+  const terms = {};
+  for (const term of [...postings.keys()].sort()) {
+    terms[term] = [...postings.get(term)].flatMap(([doc, score]) => [
+      doc,
+      Math.round(score * 100) / 100,
+    ]);
+  }
+  return { docs, terms };
+}
+
+// ====================================================================
+// Querying
+// ====================================================================
+
+const sortedTermsCache = new WeakMap();
+
+/** Index terms in sorted order, for prefix lookups */
+function sortedTerms(index) {
+  if (!sortedTermsCache.has(index)) {
+    sortedTermsCache.set(index, Object.keys(index.terms).sort());
+  }
+  return sortedTermsCache.get(index);
+}
+
+/** Every index term starting with `prefix` */
+function termsWithPrefix(index, prefix) {
+  const terms = sortedTerms(index);
+  let lo = 0;
+  let hi = terms.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (terms[mid] < prefix) lo = mid + 1;
+    else hi = mid;
+  }
+  const matches = [];
+  for (let i = lo; i < terms.length && terms[i].startsWith(prefix); i++) {
+    matches.push(terms[i]);
+  }
+  return matches;
+}
+
+/**
+ * @typedef {{ doc:SearchDoc, score:number }} SearchResult
+ */
+
+/**
+ * Documents matching every word of `query`, best first. Each word also
+ * matches longer terms it is a prefix of, so results update while typing.
+ *
+ * @param {SearchIndex} index
+ * @param {string} query
+ * @param {{ limit?:number }} [options]
+ * @returns {SearchResult[]}
+ */
+export function searchIndex(index, query, options = {}) {
+  const { limit = 20 } = options;
+  const words = [...new Set(tokenize(query))];
+  if (words.length === 0) return [];
+
+  const total = index.docs.length;
+  /** @type {Map<number, number> | null} */
+  let scores = null;
+
+  for (const word of words) {
+    /** @type {Map<number, number>} */
+    const wordScores = new Map();
+
+    for (const term of termsWithPrefix(index, word)) {
+      const postings = index.terms[term];
+      const idf = Math.log(1 + total / (postings.length / 2));
+      const factor = term === word ? 1 : PREFIX_FACTOR;
+
+      for (let i = 0; i < postings.length; i += 2) {
+        const score = postings[i + 1] * idf * factor;
+        // Best matching term per word, so "gra" isn't boosted by every "gra…" word
+        if (score > (wordScores.get(postings[i]) || 0)) {
+          wordScores.set(postings[i], score);
+        }
+      }
+    }
+
+    if (scores === null) {
+      scores = wordScores;
+    } else {
+      const previous = scores;
+      scores = new Map();
+      for (const [doc, score] of wordScores) {
+        if (previous.has(doc)) scores.set(doc, previous.get(doc) + score);
+      }
+    }
+    if (scores.size === 0) return [];
+  }
+
+  return [...scores]
+    .map(([doc, score]) => ({ doc: index.docs[doc], score }))
+    .sort((a, b) => b.score - a.score || a.doc.title.localeCompare(b.doc.title))
+    .slice(0, limit);
+}
+
+// ====================================================================
+// Highlighting
+// ====================================================================
+
+/**
+ * @typedef {{ text:string, hit:boolean }} Segment
+ */
+
+/** Offsets of words starting with one of the query's words */
+function matchRanges(text, query) {
+  const words = tokenize(query);
+  const ranges = [];
+  for (const match of text.matchAll(WORD)) {
+    const folded = foldText(match[0]);
+    if (words.some((word) => folded.startsWith(word))) {
+      ranges.push([match.index, match.index + match[0].length]);
+    }
+  }
+  return ranges;
+}
+
+/**
+ * Split `text` into plain and matching runs: a word matches when it
+ * starts with one of the query's words. Render segments as text nodes
+ * (never as HTML).
+ *
+ * @param {string} text
+ * @param {string} query
+ * @returns {Segment[]}
+ */
+export function highlight(text, query) {
+  const source = String(text || "");
+  /** @type {Segment[]} */
+  const segments = [];
+  let last = 0;
+
+  for (const [start, end] of matchRanges(source, query)) {
+    if (start > last) segments.push({ text: source.slice(last, start), hit: false });
+    segments.push({ text: source.slice(start, end), hit: true });
+    last = end;
+  }
+  if (last < source.length) segments.push({ text: source.slice(last), hit: false });
+  return segments;
+}
+
+/**
+ * About `length` characters of `text` around the first match of `query`
+ * (or its start), highlighted. Cut points fall on spaces and are marked
+ * with "…".
+ *
+ * @returns {Segment[]}
+ */
+export function snippet(text, query, length = 180) {
+  const source = String(text || "");
+  const [first] = matchRanges(source, query);
+
+  let start = first ? Math.max(0, first[0] - Math.floor(length / 3)) : 0;
+  let end = Math.min(source.length, start + length);
+
+  if (start > 0) {
+    const space = source.indexOf(" ", start);
+    if (space !== -1 && space < (first ? first[0] : end)) start = space + 1;
+  }
+  if (end < source.length) {
+    const space = source.lastIndexOf(" ", end);
+    if (space > start) end = space;
+  }
+
+  const segments = highlight(source.slice(start, end), query);
+  if (start > 0) segments.unshift({ text: "…", hit: false });
+  if (end < source.length) segments.push({ text: "…", hit: false });
+  return segments;
+}
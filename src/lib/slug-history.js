@@ -0,0 +1,77 @@
+// src/lib/slug-history.js
+// Where each note has lived, so renamed notes keep their old URLs.
+// Shared by:
+//   - src/scripts/generate-content-map.mjs (updates src/data/slug-history.json)
+//   - src/integrations/content-map.js      (turns it into Astro redirects)
+//
+// History is keyed by cuid — the only identity that survives a rename —
+// and lists "collection/slug" paths oldest first; the last one is where
+// the note is now. Notes without a cuid can't be followed across renames
+// (see `assign-cuids` in the generator).
+
+import { isPageCollection } from "./collections.js";
+
+/**
+ * @typedef {Record<string, string[]>} SlugHistory  cuid -> ["collection/slug", ...]
+ */
+
+/**
+ * History with every cuid'd page's current path appended when it moved.
+ * Entries of deleted notes are kept, in case the note comes back.
+ *
+ * @param {SlugHistory} history  previous history (not modified)
+ * @param {Array<{ cuid:string|null, collection:string, slug:string }>} nodes
+ * @returns {SlugHistory}  keys sorted, for stable JSON
+ */
+export function updateSlugHistory(history, nodes) {
+  /** @type {SlugHistory} */
+  const next = {};
+  for (const [cuid, paths] of Object.entries(history || {})) {
+    if (Array.isArray(paths)) next[cuid] = [...paths];
+  }
+
+  for (const node of nodes) {
+    if (!node.cuid || !isPageCollection(node.collection)) continue;
+    const current = `${node.collection}/${node.slug}`;
+    const paths = (next[node.cuid] ??= []);
+
+    if (paths.at(-1) === current) continue;
+    // Moving back to an earlier path: it is current again, not old
+    const earlier = paths.indexOf(current);
+    if (earlier !== -1) paths.splice(earlier, 1);
+    paths.push(current);
+  }
+
+  return Object.fromEntries(
+    Object.keys(next)
+      .sort()
+      .map((cuid) => [cuid, next[cuid]])
+  );
+}
+
+/**
+ * Old page URL -> current page URL, for every note that has moved.
+ * Old paths that another note lives at now are left alone.
+ *
+ * @param {SlugHistory} history
+ * @param {Array<{ cuid:string|null, collection:string, slug:string }>} nodes  content map
+ * @returns {Record<string, string>}  e.g. { "/notes/old-name/": "/notes/new-name/" }
+ */
+export function redirectsFromHistory(history, nodes) {
+  const pageUrl = (p) => `/${p}/`;
+  const pages = nodes.filter((n) => isPageCollection(n.collection));
+  const taken = new Set(pages.map((n) => `${n.collection}/${n.slug}`));
+
+  /** @type {Record<string, string>} */
+  const redirects = {};
+  for (const node of pages) {
+    if (!node.cuid) continue;
+    const current = `${node.collection}/${node.slug}`;
+
+    for (const old of history[node.cuid] || []) {
+      if (old === current || taken.has(old)) continue;
+      redirects[pageUrl(old)] = pageUrl(current);
+    }
+  }
+  return redirects;
+}
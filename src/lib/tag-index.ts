@@ -0,0 +1,65 @@
+// src/lib/tag-index.ts
+// Everything tagged on the site, for src/pages/tags/ and the per-tag feeds.
+//
+// Notes, essays, posts and projects come from their collections (tags
+// already canonical via the schema, see src/lib/tags.js).
+
+import { getCollection } from 'astro:content';
+
+import { PAGE_COLLECTIONS } from './graph';
+import { titleFromSlug } from './frontmatter.js';
+import {
+  buildTagTaxonomy,
+  tagSlug,
+  tagUrl,
+  tagsBySlug,
+  type TagInfo,
+  type TagTaxonomy,
+} from './tags.js';
+
+export interface TaggedEntry {
+  title: string;
+  url: string;
+  collection: string;
+  tags: string[]; // canonical
+  date?: Date;
+}
+
+export interface TagIndex {
+  entries: TaggedEntry[];
+  taxonomy: TagTaxonomy;
+  /** Tags in URL order; when two tags share a slug the more used one wins */
+  bySlug: Map<string, TagInfo>;
+  /** A tag's page, or undefined when it has none (it lost its slug to another tag) */
+  href: (tag: string) => string | undefined;
+}
+
+async function loadTaggedEntries(): Promise<TaggedEntry[]> {
+  const entries = (
+    await Promise.all(PAGE_COLLECTIONS.map((name) => getCollection(name)))
+  ).flat();
+
+  const tagged: TaggedEntry[] = entries.map((entry) => ({
+    title: entry.data.title ?? titleFromSlug(entry.id),
+    url: `/${entry.collection}/${entry.id}/`,
+    collection: entry.collection,
+    tags: entry.data.tags,
+    date: entry.data.date,
+  }));
+
+  return tagged.filter((entry) => entry.tags.length > 0);
+}
+
+/**
+ * Rebuilt on every call: getCollection() is already cached per build and
+ * per dev reload, so the index can't go stale. Slug clashes are reported
+ * by the content-map generator (contentHealth.tagSlugClashes).
+ */
+export async function getTagIndex(): Promise<TagIndex> {
+  const entries = await loadTaggedEntries();
+  const taxonomy = buildTagTaxonomy(entries);
+  const { bySlug } = tagsBySlug(taxonomy);
+  const href = (tag: string) => (bySlug.get(tagSlug(tag))?.tag === tag ? tagUrl(tag) : undefined);
+
+  return { entries, taxonomy, bySlug, href };
+}
@@ -0,0 +1,203 @@
+// src/lib/tags.js
+// One tag vocabulary for the whole site. Shared by:
+//   - src/content.config.ts                (collection schemas)
+//   - src/scripts/generate-content-map.mjs (content-map.json tags, slug clashes)
+//   - src/lib/tag-index.ts                 (tag pages, feeds)
+//
+// Tags are case-insensitive and may nest with "/" like Obsidian's
+// (`ai/llm` is a child of `ai`). A note tagged `ai/llm` also shows up
+// under `ai`.
+
+import { normalizeStringList } from "./frontmatter.js";
+import { slugifyTitle } from "./wiki-links.js";
+
+/**
+ * Alternative spellings -> canonical tag (both sides normalized).
+ * A synonym also renames its children: with `ml -> ai/ml`, `ml/vision`
+ * becomes `ai/ml/vision`.
+ */
+export const TAG_SYNONYMS = Object.freeze({
+  zettlekasten: "zettelkasten",
+});
+
+/**
+ * Canonical form of one tag, or "" when nothing is left:
+ *   "#AI / LLM " -> "ai/llm",  "Learning  in Public" -> "learning in public"
+ */
+export function normalizeTag(raw) {
+  const tag = String(raw ?? "")
+    .trim()
+    .replace(/^#+/, "")
+    .toLowerCase()
+    .split("/")
+    .map((segment) => segment.trim().replace(/\s+/g, " "))
+    .filter(Boolean)
+    .join("/");
+
+  // Longest prefix with a synonym wins
+  const segments = tag.split("/");
+  for (let n = segments.length; n > 0; n--) {
+    const prefix = segments.slice(0, n).join("/");
+    if (Object.hasOwn(TAG_SYNONYMS, prefix)) {
+      return [TAG_SYNONYMS[prefix], ...segments.slice(n)].join("/");
+    }
+  }
+  return tag;
+}
+
+/**
+ * Frontmatter `tags` ("a, b" or ["a", "b"]) -> canonical, de-duplicated.
+ * @returns {string[]}
+ */
+export function normalizeTags(value) {
+  return [...new Set(normalizeStringList(value).map(normalizeTag).filter(Boolean))];
+}
+
+/**
+ * URL path of a canonical tag: "ai/large models" -> "ai/large-models".
+ * Segments with nothing slug-safe ("日本語", "++") stay as written.
+ */
+export function tagSlug(tag) {
+  return tag
+    .split("/")
+    .map((segment) => slugifyTitle(segment) || segment)
+    .join("/");
+}
+
+/** Link to a tag's page; accepts raw tags too */
+export function tagUrl(tag) {
+  return `/tags/${tagSlug(normalizeTag(tag))}/`;
+}
+
+/** "ai/llm/agents" -> ["ai", "ai/llm"] */
+export function tagAncestors(tag) {
+  const segments = tag.split("/");
+  return segments.slice(1).map((_, i) => segments.slice(0, i + 1).join("/"));
+}
+
+/** Whether `tags` includes `tag` or one of its descendants */
+export function hasTag(tags, tag) {
+  return tags.some((t) => t === tag || t.startsWith(`${tag}/`));
+}
+
+/** Last segment, for showing a child under its parent: "ai/llm" -> "llm" */
+export function tagLeaf(tag) {
+  return tag.slice(tag.lastIndexOf("/") + 1);
+}
+
+// ====================================================================
+// Taxonomy
+// ====================================================================
+
+/**
+ * @typedef {{
+ *   tag:string,          // canonical
+ *   slug:string,         // URL path under /tags/
+ *   count:number,        // items tagged with it or a descendant
+ *   direct:number,       // items tagged with exactly it
+ *   parent:string|null,
+ *   children:string[],
+ * }} TagInfo
+ *
+ * @typedef {{
+ *   tags:Record<string, TagInfo>,
+ *   cooccurrence:Record<string, Record<string, number>>,  // tag -> tag -> shared items
+ * }} TagTaxonomy
+ */
+
+/**
+ * Counts, hierarchy and co-occurrence for a set of tagged items. Parent
+ * tags exist even when nothing uses them directly.
+ *
+ * @param {Array<{ tags:string[] }>} items  tags already canonical
+ * @returns {TagTaxonomy}
+ */
+export function buildTagTaxonomy(items) {
+  /** @type {Record<string, TagInfo>} */
+  const tags = {};
+  const ensure = (tag) =>
+    (tags[tag] ??= {
+      tag,
+      slug: tagSlug(tag),
+      count: 0,
+      direct: 0,
+      parent: tagAncestors(tag).at(-1) ?? null,
+      children: [],
+    });
+
+  /** @type {Record<string, Record<string, number>>} */
+  const cooccurrence = {};
+
+  for (const item of items) {
+    const own = [...new Set(item.tags)];
+    const expanded = new Set(own.flatMap((tag) => [...tagAncestors(tag), tag]));
+
+    for (const tag of own) ensure(tag).direct++;
+    for (const tag of expanded) ensure(tag).count++;
+
+    // Only tags the author chose; a tag with its own parent isn't news
+    for (const a of own) {
+      for (const b of own) {
+        if (a === b || tagAncestors(a).includes(b) || tagAncestors(b).includes(a)) continue;
+        cooccurrence[a] ??= {};
+        cooccurrence[a][b] = (cooccurrence[a][b] || 0) + 1;
+      }
+    }
+  }
+
+  for (const info of Object.values(tags)) {
+    if (info.parent) ensure(info.parent).children.push(info.tag);
+  }
+  for (const info of Object.values(tags)) info.children.sort();
+
+  return { tags, cooccurrence };
+}
+
+/**
+ * Tags by URL slug. Tags whose slugs collide ("c++" and "c" are both
+ * /tags/c/) can't all have a page: the more used one keeps it and the
+ * others are listed in `clashes`.
+ *
+ * @param {TagTaxonomy} taxonomy
+ * @returns {{
+ *   bySlug:Map<string, TagInfo>,
+ *   clashes:Array<{ slug:string, kept:string, dropped:string }>,
+ * }}
+ */
+export function tagsBySlug(taxonomy) {
+  /** @type {Map<string, TagInfo>} */
+  const bySlug = new Map();
+  const clashes = [];
+  const byUse = Object.values(taxonomy.tags).sort(
+    (a, b) => b.count - a.count || a.tag.localeCompare(b.tag)
+  );
+  for (const info of byUse) {
+    const taken = bySlug.get(info.slug);
+    if (taken) clashes.push({ slug: info.slug, kept: taken.tag, dropped: info.tag });
+    else bySlug.set(info.slug, info);
+  }
+  return { bySlug, clashes };
+}
+
+/**
+ * Tags used together with `tag` most often, relative to how common they
+ * are (Jaccard over items), best first.
+ *
+ * @param {TagTaxonomy} taxonomy
+ * @param {string} tag
+ * @returns {Array<{ tag:string, shared:number }>}
+ */
+export function relatedTags(taxonomy, tag, limit = 8) {
+  const own = taxonomy.tags[tag];
+  if (!own) return [];
+
+  return Object.entries(taxonomy.cooccurrence[tag] || {})
+    .map(([other, shared]) => ({
+      tag: other,
+      shared,
+      score: shared / (own.direct + taxonomy.tags[other].direct - shared),
+    }))
+    .sort((a, b) => b.score - a.score || b.shared - a.shared || a.tag.localeCompare(b.tag))
+    .slice(0, limit)
+    .map(({ tag: other, shared }) => ({ tag: other, shared }));
+}
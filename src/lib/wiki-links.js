@@ -0,0 +1,311 @@
+// src/lib/wiki-links.js
+// Shared wiki-link parsing + resolution used by:
+//   - src/scripts/generate-content-map.mjs (graph edges, content health)
+//   - src/plugins/remark-wiki-link.js      (rendered links)
+//
+// Both sides must agree on which note a [[link]] points to, so every
+// rule about slugs, aliases and ambiguity lives here and nowhere else.
+
+/**
+ * Slugify a title or arbitrary string with the rules:
+ * - lowercase
+ * - whitespace -> single '-'
+ * - non [a-z0-9-] -> '-'
+ * - collapse multiple '-'
+ * - trim leading/trailing '-'
+ */
+export function slugifyTitle(input) {
+  return String(input)
+    .toLowerCase()
+    .replace(/\s+/g, "-")
+    .replace(/[^a-z0-9-]/g, "-")
+    .replace(/-+/g, "-")
+    .replace(/^-|-$/g, "");
+}
+
+/**
+ * Slugify heading text into an HTML id / fragment.
+ * - lowercase
+ * - whitespace -> '-'
+ * - strip non [a-z0-9-] (unlike slugifyTitle, which hyphenates them)
+ * - collapse multiple '-'
+ * - trim leading/trailing '-'
+ */
+export function slugifyHeading(value) {
+  return String(value || "")
+    .toLowerCase()
+    .replace(/\s+/g, "-")
+    .replace(/[^a-z0-9-]/g, "")
+    .replace(/-{2,}/g, "-")
+    .replace(/^-+|-+$/g, "");
+}
+
+/**
+ * Per-document heading slugger: repeated headings get "-1", "-2", ...
+ * The generator (content-map `headings`) and the remark plugin (heading
+ * ids) both walk headings in document order with one of these.
+ */
+export function createHeadingSlugger() {
+  const seen = new Map();
+
+  return function slug(text) {
+    const base = slugifyHeading(text);
+    const count = seen.get(base) || 0;
+    seen.set(base, count + 1);
+    return count === 0 ? base : `${base}-${count}`;
+  };
+}
+
+/**
+ * Obsidian block reference at the end of a line/paragraph:
+ *   "Some text ^my-block"  -> "my-block"
+ *   "^my-block"            -> "my-block"   (marker on its own line)
+ */
+const BLOCK_ID_PATTERN = /(?:^|\s)\^([A-Za-z0-9-]+)\s*$/;
+
+/**
+ * @param {string} text
+ * @returns {{ id:string, text:string }|null}  block id + text without the marker
+ */
+export function parseBlockId(text) {
+  const match = BLOCK_ID_PATTERN.exec(String(text || ""));
+  if (!match) return null;
+  return { id: match[1], text: String(text).slice(0, match.index) };
+}
+
+/**
+ * HTML id for a block reference. Kept Obsidian-compatible so
+ * "[[Note#^id]]" links to "/collection/note/#^id".
+ */
+export function blockAnchor(id) {
+  return `^${id}`;
+}
+
+/**
+ * Interpret the part of a wiki-link after '#'.
+ *   "Heading" -> { type:"heading", anchor:"heading" }
+ *   "^block"  -> { type:"block",   anchor:"^block" }
+ *
+ * @param {string|null} header
+ * @returns {{ type:"heading"|"block", anchor:string }|null}
+ */
+export function parseFragment(header) {
+  const raw = String(header || "").trim();
+  if (!raw) return null;
+
+  if (raw.startsWith("^")) {
+    const id = raw.slice(1).trim();
+    return id ? { type: "block", anchor: blockAnchor(id) } : null;
+  }
+
+  const anchor = slugifyHeading(raw);
+  return anchor ? { type: "heading", anchor } : null;
+}
+
+/**
+ * Does a content-map entry contain the anchor a fragment points at?
+ *
+ * @param {{ headings?:Array<{slug:string}>, blockIds?:string[] }} entry
+ * @param {{ type:"heading"|"block", anchor:string }} fragment
+ */
+export function hasFragment(entry, fragment) {
+  if (fragment.type === "block") {
+    return (entry.blockIds || []).some((id) => blockAnchor(id) === fragment.anchor);
+  }
+  return (entry.headings || []).some((h) => h.slug === fragment.anchor);
+}
+
+/**
+ * Parse the inner body of a wiki-link.
+ *
+ * Examples:
+ *  - "Title"                 => { title: "Title", header: null, alias: null }
+ *  - "Title|Alias"           => { title: "Title", header: null, alias: "Alias" }
+ *  - "Title#Header"          => { title: "Title", header: "Header", alias: null }
+ *  - "Title#Header|Alias"    => { title: "Title", header: "Header", alias: "Alias" }
+ */
+export function parseWikiLinkBody(body) {
+  const raw = String(body || "");
+
+  // Split on the first '|' to separate alias (if present)
+  const [targetPart, aliasPart] = raw.split("|", 2);
+  const alias = aliasPart ? aliasPart.trim() || null : null;
+
+  // Within the target, split on the first '#'
+  const [rawTitle, rawHeader] = targetPart.split("#", 2);
+  const title = (rawTitle || "").trim();
+  const header = rawHeader ? rawHeader.trim() || null : null;
+
+  return { title, header, alias };
+}
+
+/**
+ * @typedef {{
+ *   id:string,
+ *   cuid:string|null,
+ *   slug:string,
+ *   title:string,
+ *   aliases?:string[],
+ * }} ResolvableNode
+ *
+ * @typedef {(
+ *   | { status:"resolved", via:string, entry:ResolvableNode }
+ *   | { status:"ambiguous", via:string, candidates:ResolvableNode[] }
+ *   | { status:"unresolved" }
+ * )} WikiLinkResolution
+ */
+
+/**
+ * Resolution tiers, in priority order. The first tier with any match wins;
+ * if that tier matches more than one node the link is ambiguous and we do
+ * NOT fall through to later tiers.
+ *
+ *  1. title  — exact title (case-sensitive)
+ *  2. title  — title (case-insensitive)
+ *  3. alias  — frontmatter `aliases` (case-insensitive)
+ *  4. id     — cuid or fallback id ("collection/slug"), exact
+ *  5. slug   — slugifyTitle(target) against slugified title, slug, aliases
+ */
+const RESOLUTION_TIERS = [
+  { via: "title", index: "titleExact", key: (t) => t },
+  { via: "title", index: "titleLower", key: (t) => t.toLowerCase() },
+  { via: "alias", index: "alias", key: (t) => t.toLowerCase() },
+  { via: "id", index: "id", key: (t) => t },
+  { via: "slug", index: "slug", key: (t) => slugifyTitle(t) },
+];
+
+// Index keys are "<tier index>\u0000<key>" strings, so one Map covers every tier.
+const indexKey = (index, key) => `${index}\u0000${key}`;
+
+/**
+ * Every index key a node is registered under.
+ *
+ * Two nodes can only influence each other's link resolution through
+ * these keys — the generator's incremental build relies on that to
+ * decide which links need re-resolving.
+ *
+ * @param {ResolvableNode} node
+ * @returns {string[]}
+ */
+export function nodeResolutionKeys(node) {
+  const keys = [];
+  const add = (index, key) => {
+    if (key) keys.push(indexKey(index, key));
+  };
+
+  const title = String(node.title || "").trim();
+  const aliases = Array.isArray(node.aliases) ? node.aliases : [];
+
+  add("titleExact", title);
+  add("titleLower", title.toLowerCase());
+
+  for (const alias of aliases) {
+    add("alias", String(alias).trim().toLowerCase());
+  }
+
+  add("id", node.id);
+  if (node.cuid) add("id", node.cuid);
+
+  add("slug", slugifyTitle(title));
+  add("slug", slugifyTitle(node.slug || ""));
+  for (const alias of aliases) {
+    add("slug", slugifyTitle(alias));
+  }
+
+  return keys;
+}
+
+/**
+ * Every index key a link target is looked up under (one per tier).
+ *
+ * @param {string} target
+ * @returns {string[]}
+ */
+export function targetResolutionKeys(target) {
+  const trimmed = String(target || "").trim();
+  if (!trimmed) return [];
+  return RESOLUTION_TIERS.map((tier) => indexKey(tier.index, tier.key(trimmed)));
+}
+
+/**
+ * Build the lookup index for every resolution tier.
+ * Maps key -> Set<node> so duplicate keys surface as ambiguity.
+ *
+ * @param {Iterable<ResolvableNode>} nodes
+ */
+function buildResolverIndex(nodes) {
+  const index = new Map();
+
+  for (const node of nodes) {
+    if (!node) continue;
+
+    for (const key of nodeResolutionKeys(node)) {
+      if (!index.has(key)) index.set(key, new Set());
+      index.get(key).add(node);
+    }
+  }
+
+  return index;
+}
+
+/**
+ * Create a resolver over a set of nodes (content-map entries or the
+ * generator's internal nodes — anything with id/cuid/slug/title/aliases).
+ *
+ * @param {Iterable<ResolvableNode>} nodes
+ * @returns {(target:string) => WikiLinkResolution}
+ */
+export function createWikiLinkResolver(nodes) {
+  const index = buildResolverIndex(nodes);
+
+  return function resolveWikiLink(target) {
+    const trimmed = String(target || "").trim();
+    if (!trimmed) return { status: "unresolved" };
+
+    for (const tier of RESOLUTION_TIERS) {
+      const matches = index.get(indexKey(tier.index, tier.key(trimmed)));
+      if (!matches || matches.size === 0) continue;
+
+      if (matches.size === 1) {
+        return { status: "resolved", via: tier.via, entry: [...matches][0] };
+      }
+      return { status: "ambiguous", via: tier.via, candidates: [...matches] };
+    }
+
+    return { status: "unresolved" };
+  };
+}
+
+/**
+ * Human-readable warning for a link that did not resolve cleanly.
+ * Returns null for resolved links.
+ *
+ * Used verbatim by the generator (content-health.json) and the remark
+ * plugin (vfile messages) so both report problems identically.
+ *
+ * @param {string} target
+ * @param {WikiLinkResolution} resolution
+ */
+export function formatResolutionWarning(target, resolution) {
+  if (resolution.status === "ambiguous") {
+    const ids = resolution.candidates.map((n) => n.id).join(", ");
+    return `Ambiguous wiki-link "${target}" (by ${resolution.via}) → ${ids}`;
+  }
+  if (resolution.status === "unresolved") {
+    return `Unresolved wiki-link "${target}"`;
+  }
+  return null;
+}
+
+/**
+ * Warning for a link whose note resolved but whose #fragment doesn't
+ * exist in it. Shared by the generator and the remark plugin.
+ *
+ * @param {string} target
+ * @param {string} header  raw text after '#'
+ * @param {{ type:"heading"|"block", anchor:string }} fragment
+ */
+export function formatFragmentWarning(target, header, fragment) {
+  const what = fragment.type === "block" ? "block" : "heading";
+  return `Broken ${what} reference "${target}#${header}" (no #${fragment.anchor})`;
+}
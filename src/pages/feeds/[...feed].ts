@@ -0,0 +1,111 @@
+// src/pages/feeds/[...feed].ts
+// RSS, Atom and JSON feeds (see src/lib/feeds.ts):
+//   /feeds/rss.xml               everything: notes, essays, projects, posts
+//   /feeds/notes/atom.xml        one collection
+//   /feeds/tags/ai/llm/feed.json one tag and its children, like /tags/ai/llm/
+// Only live, unarchived pages (src/lib/publishing.js); items are newest
+// first by updated / published date.
+
+import type { APIRoute, GetStaticPaths } from 'astro';
+import { getCollection } from 'astro:content';
+
+import { PAGE_COLLECTIONS } from '../../lib/graph';
+import { titleFromSlug } from '../../lib/frontmatter.js';
+import { getTagIndex } from '../../lib/tag-index';
+import { hasTag } from '../../lib/tags.js';
+import { isListed, readPublishing } from '../../lib/publishing.js';
+import {
+  FEED_FORMATS,
+  SITE_TITLE,
+  absolutizeUrls,
+  feedResponse,
+  sortFeedItems,
+  type FeedFormat,
+  type FeedItem,
+  type FeedMeta,
+} from '../../lib/feeds';
+import { SITE_DESCRIPTION } from '../../lib/consts';
+import { collectionLabel } from '../../lib/page-meta';
+
+interface Props {
+  format: FeedFormat;
+  meta: FeedMeta;
+  items: FeedItem[];
+}
+
+/** Every published page as a feed item, newest first */
+async function loadFeedItems(site: URL): Promise<FeedItem[]> {
+  const entries = (
+    await Promise.all(PAGE_COLLECTIONS.map((name) => getCollection(name)))
+  ).flat();
+
+  const items: FeedItem[] = entries
+    .filter((entry) => isListed(readPublishing(entry.data)))
+    .map((entry) => ({
+      title: entry.data.title ?? titleFromSlug(entry.id),
+      url: new URL(`/${entry.collection}/${entry.id}/`, site).href,
+      description: entry.data.description,
+      html: absolutizeUrls(entry.rendered?.html ?? '', site),
+      collection: entry.collection,
+      tags: entry.data.tags,
+      published: entry.data.date,
+      updated: entry.data.dateUpdated,
+    }));
+
+  return sortFeedItems(items);
+}
+
+export const getStaticPaths = (async () => {
+  if (!import.meta.env.SITE) {
+    throw new Error('Feeds need `site` in astro.config.mjs for absolute URLs');
+  }
+  const items = await loadFeedItems(new URL(import.meta.env.SITE));
+
+  const feeds: Array<{ dir: string; meta: FeedMeta; items: FeedItem[] }> = [
+    {
+      dir: '',
+      meta: {
+        title: SITE_TITLE,
+        description: SITE_DESCRIPTION,
+        path: '/feeds/',
+        homePath: '/',
+      },
+      items,
+    },
+    ...PAGE_COLLECTIONS.map((collection) => ({
+      dir: `${collection}/`,
+      meta: {
+        title: `${SITE_TITLE}: ${collectionLabel(collection)}`,
+        description: `${collectionLabel(collection)} by ${SITE_TITLE}`,
+        path: `/feeds/${collection}/`,
+        homePath: `/${collection}/`,
+      },
+      items: items.filter((item) => item.collection === collection),
+    })),
+  ];
+
+  // Same tags (and matching rules) as src/pages/tags/[...tag].astro
+  const { bySlug } = await getTagIndex();
+  for (const { tag, slug } of bySlug.values()) {
+    feeds.push({
+      dir: `tags/${slug}/`,
+      meta: {
+        title: `${SITE_TITLE}: #${tag}`,
+        description: `Everything tagged ${tag}`,
+        path: `/feeds/tags/${slug}/`,
+        homePath: `/tags/${slug}/`,
+      },
+      items: items.filter((item) => hasTag(item.tags, tag)),
+    });
+  }
+
+  return feeds.flatMap(({ dir, meta, items }) =>
+    FEED_FORMATS.map((format) => ({
+      params: { feed: `${dir}${format}` },
+      props: { format, meta, items },
+    }))
+  );
+}) satisfies GetStaticPaths;
+
+export const GET: APIRoute<Props> = ({ props }) =>
+  feedResponse(props.format, props.meta, props.items, new URL(import.meta.env.SITE));
@@ -0,0 +1,43 @@
+// src/pages/og/[...image].png.ts
+// Open Graph / Twitter card images (see src/lib/og-image.js), drawn at
+// build time:
+//   /og/notes/my-note.png   one per note, essay and project
+//   /og/site.png            every other page
+
+import type { APIRoute, GetStaticPaths } from 'astro';
+import { getCollection } from 'astro:content';
+
+import { PAGE_COLLECTIONS } from '../../lib/graph';
+import { titleFromSlug } from '../../lib/frontmatter.js';
+import { SITE_DESCRIPTION, SITE_TITLE } from '../../lib/consts';
+import { collectionLabel } from '../../lib/page-meta';
+import { renderOgImage, type OgCard } from '../../lib/og-image.js';
+
+export const getStaticPaths = (async () => {
+  const entries = (
+    await Promise.all(PAGE_COLLECTIONS.map((name) => getCollection(name)))
+  ).flat();
+
+  return [
+    {
+      params: { image: 'site' },
+      props: { card: { title: SITE_DESCRIPTION, siteName: SITE_TITLE } },
+    },
+    ...entries.map((entry) => ({
+      params: { image: `${entry.collection}/${entry.id}` },
+      props: {
+        card: {
+          title: entry.data.title ?? titleFromSlug(entry.id),
+          label: collectionLabel(entry.collection),
+          tags: entry.data.tags,
+          siteName: SITE_TITLE,
+        },
+      },
+    })),
+  ];
+}) satisfies GetStaticPaths;
+
+export const GET: APIRoute<{ card: OgCard }> = async ({ props }) =>
+  new Response(new Uint8Array(await renderOgImage(props.card)), {
+    headers: { 'Content-Type': 'image/png' },
+  });
@@ -0,0 +1,52 @@
+// src/pages/previews/[collection]/[...slug].json.ts
+// Static preview data for every page, fetched by WikiLinkPreview.astro
+// when a reader hovers or focuses a wiki-link:
+//   /previews/notes/my-note.json
+
+import type { APIRoute, GetStaticPaths } from 'astro';
+import { getCollection, type CollectionEntry } from 'astro:content';
+
+import { graph, PAGE_COLLECTIONS } from '../../../lib/graph';
+import { firstParagraph } from '../../../lib/excerpt.js';
+import { isPrivateLink } from '../../../lib/private-links';
+import { titleFromSlug } from '../../../lib/frontmatter.js';
+
+export interface WikiLinkPreview {
+  title: string;
+  description: string;
+  tags: string[];
+  excerpt: string;
+  url: string;
+}
+
+type PageEntry = CollectionEntry<(typeof PAGE_COLLECTIONS)[number]>;
+
+export const getStaticPaths = (async () => {
+  const entries = (
+    await Promise.all(PAGE_COLLECTIONS.map((name) => getCollection(name)))
+  ).flat();
+
+  return entries.map((entry) => ({
+    params: { collection: entry.collection, slug: entry.id },
+    props: { entry },
+  }));
+}) satisfies GetStaticPaths;
+
+export const GET: APIRoute<{ entry: PageEntry }> = ({ props }) => {
+  const { entry } = props;
+
+  // content-map.json is what the wiki-link resolved against, so prefer it
+  const node = graph.getBySlug(entry.id, entry.collection);
+
+  const preview: WikiLinkPreview = {
+    title: node?.title ?? entry.data.title ?? titleFromSlug(entry.id),
+    description: node?.description ?? entry.data.description,
+    tags: node?.tags ?? entry.data.tags,
+    excerpt: firstParagraph(entry.body ?? '', undefined, { isPrivateLink }),
+    url: `/${entry.collection}/${entry.id}/`,
+  };
+
+  return new Response(JSON.stringify(preview), {
+    headers: { 'Content-Type': 'application/json' },
+  });
+};
@@ -0,0 +1,36 @@
+// src/pages/search-index.json.ts
+// The full-text search index (see src/lib/search.js), built from every
+// page's markdown plus what content-map.json knows about it (aliases,
+// headings). Fetched by the search page and the command palette:
+//   /search-index.json
+
+import type { APIRoute } from 'astro';
+import { getCollection } from 'astro:content';
+
+import { graph, PAGE_COLLECTIONS } from '../lib/graph';
+import { markdownToText } from '../lib/excerpt.js';
+import { isPrivateLink } from '../lib/private-links';
+import { titleFromSlug } from '../lib/frontmatter.js';
+import { buildSearchIndex, type SearchDoc } from '../lib/search.js';
+
+export const GET: APIRoute = async () => {
+  const entries = (
+    await Promise.all(PAGE_COLLECTIONS.map((name) => getCollection(name)))
+  ).flat();
+
+  const docs: SearchDoc[] = entries.map((entry) => {
+    const node = graph.getBySlug(entry.id, entry.collection);
+    return {
+      title: node?.title ?? entry.data.title ?? titleFromSlug(entry.id),
+      collection: entry.collection,
+      slug: entry.id,
+      aliases: node?.aliases ?? entry.data.aliases,
+      headings: (node?.headings ?? []).map((h) => h.text),
+      text: markdownToText(entry.body ?? '', { isPrivateLink }),
+    };
+  });
+
+  return new Response(JSON.stringify(buildSearchIndex(docs)), {
+    headers: { 'Content-Type': 'application/json' },
+  });
+};
@@ -1,281 +1,624 @@
 // src/plugins/remark-wiki-link.js
+import fs from 'node:fs';
+import path from 'node:path';
+import matter from 'gray-matter';
+import { fromMarkdown } from 'mdast-util-from-markdown';
+import { gfmFromMarkdown } from 'mdast-util-gfm';
+import { gfm } from 'micromark-extension-gfm';
 import { visit } from 'unist-util-visit';
 import contentMap from '../data/content-map.json' assert { type: 'json' };
+import {
+  attachmentKind,
+  attachmentUrl,
+  findAttachments,
+} from '../lib/attachments.js';
+import {
+  blockAnchor,
+  createHeadingSlugger,
+  createWikiLinkResolver,
+  formatFragmentWarning,
+  formatResolutionWarning,
+  hasFragment,
+  parseBlockId,
+  parseFragment,
+  parseWikiLinkBody,
+} from '../lib/wiki-links.js';
+import { PRIVATE_LINK_TEXT } from '../lib/publishing.js';
 
 /**
- * Normalize a string for slug/id comparison.
- * - Lowercase
- * - Replace whitespace with '-'
- * - Remove non alphanumeric / hyphen
- - Collapse multiple hyphens
- * - Trim leading/trailing hyphens
+ * Resolver over content-map.json, shared with the content-map generator
+ * so rendered links and graph edges always agree.
+ *
+ * Starts from the JSON on disk; the content-map integration swaps in the
+ * freshly generated map via setWikiLinkContentMap().
  */
-function sanitizeSlug(value) {
-  return String(value || '')
-    .toLowerCase()
-    .replace(/\s+/g, '-')        // spaces -> hyphen
-    .replace(/[^a-z0-9-]/g, '')  // strip non-alphanumeric/hyphen
-    .replace(/-{2,}/g, '-')      // collapse multiple hyphens
-    .replace(/^-+|-+$/g, '');    // trim leading/trailing hyphens
-}
+let resolveWikiLink = createWikiLinkResolver(
+  Array.isArray(contentMap) ? contentMap : []
+);
+
+/** Content-map entries by `filePath`, to find the note being rendered. */
+let entriesByFilePath = indexByFilePath(contentMap);
 
 /**
- * Slugify heading text into an HTML id / fragment.
- * Uses the same rules as sanitizeSlug for consistency.
+ * Resolver over files left out by the publishing rules (drafts, scheduled,
+ * private; see src/lib/publishing.js). Only the integration knows them —
+ * they are never written to disk.
  */
-function slugifyHeading(value) {
-  return sanitizeSlug(value);
+let resolveUnpublished = createWikiLinkResolver([]);
+
+/** Attachment index per content root, built on first use. */
+let attachmentIndexes = new Map();
+
+/**
+ * Replace the content map used for resolution (e.g. after regeneration),
+ * along with the generator's `unpublished` files.
+ */
+export function setWikiLinkContentMap(nodes, unpublished = []) {
+  const list = Array.isArray(nodes) ? nodes : [];
+  resolveWikiLink = createWikiLinkResolver(list);
+  resolveUnpublished = createWikiLinkResolver(unpublished);
+  entriesByFilePath = indexByFilePath(list);
+  attachmentIndexes = new Map();
+}
+
+function indexByFilePath(nodes) {
+  const index = new Map();
+  for (const node of Array.isArray(nodes) ? nodes : []) {
+    if (node.filePath) index.set(node.filePath, node);
+  }
+  return index;
+}
+
+function getAttachmentIndex(contentRoot) {
+  if (!attachmentIndexes.has(contentRoot)) {
+    attachmentIndexes.set(contentRoot, findAttachments(contentRoot));
+  }
+  return attachmentIndexes.get(contentRoot);
 }
 
 /**
- * Build lookup indexes from content-map.json
- * to make resolution fast and deterministic.
+ * Construct the URL for a resolved entry, optionally with a header fragment.
+ * Follows the convention: /{collection}/{slug}/#heading (or #^block-id)
  */
-function buildContentIndex(nodes) {
-  const byTitle = new Map();
-  const bySlugKey = new Map();
-  const byIdKey = new Map();
+function buildUrlForEntry(entry, header) {
+  const base = `/${entry.collection}/${entry.slug}/`;
+  const fragment = parseFragment(header);
+  return fragment ? `${base}#${fragment.anchor}` : base;
+}
 
-  for (const entry of nodes) {
-    if (!entry) continue;
+/**
+ * Plain text of an mdast node (text + inline code), before wiki-links
+ * are rewritten — the generator slugs the raw heading line the same way.
+ */
+function nodeText(node) {
+  if (node.type === 'text' || node.type === 'inlineCode') return node.value;
+  return (node.children || []).map(nodeText).join('');
+}
 
-    const titleKey = String(entry.title || '').trim().toLowerCase();
-    const slugKey = sanitizeSlug(entry.slug || entry.id);
-    const idKey = sanitizeSlug(entry.id);
+/**
+ * Give every heading an id using the shared slugger, so anchors match
+ * the `headings` recorded in content-map.json (Astro keeps existing ids).
+ */
+function assignHeadingIds(tree) {
+  const slugger = createHeadingSlugger();
+
+  visit(tree, 'heading', (node) => {
+    const id = slugger(nodeText(node));
+    if (!id) return;
+    node.data = node.data || {};
+    node.data.hProperties = { ...(node.data.hProperties || {}), id };
+  });
+}
 
-    if (titleKey && !byTitle.has(titleKey)) {
-      byTitle.set(titleKey, entry);
-    }
-    if (slugKey && !bySlugKey.has(slugKey)) {
-      bySlugKey.set(slugKey, entry);
-    }
-    if (idKey && !byIdKey.has(idKey)) {
-      byIdKey.set(idKey, entry);
+/**
+ * Turn Obsidian block markers into ids and strip them from the text:
+ *   "Some text ^my-block"          -> <p id="^my-block">Some text</p>
+ *   "- item\n\n^my-block" (alone) -> id goes on the previous block
+ */
+function assignBlockIds(tree) {
+  visit(tree, 'paragraph', (node, index, parent) => {
+    const last = node.children[node.children.length - 1];
+    if (!last || last.type !== 'text') return;
+
+    const block = parseBlockId(last.value);
+    if (!block) return;
+
+    last.value = block.text.replace(/\s+$/, '');
+    if (!last.value) node.children.pop();
+
+    // Marker on its own: label the preceding sibling and drop the paragraph
+    let target = node;
+    if (node.children.length === 0 && parent && index > 0) {
+      target = parent.children[index - 1];
+      parent.children.splice(index, 1);
     }
-  }
 
-  return { byTitle, bySlugKey, byIdKey };
-}
+    target.data = target.data || {};
+    target.data.hProperties = {
+      ...(target.data.hProperties || {}),
+      id: blockAnchor(block.id),
+    };
 
-const CONTENT_INDEX = buildContentIndex(
-  Array.isArray(contentMap) ? contentMap : []
-);
+    if (target !== node) return index;
+  });
+}
 
 /**
- * Resolve a wiki-link "title" string to a content entry.
+ * Choose the display text for a wiki-link.
  *
- * Strategy:
- *  1. Exact match on entry.title (case-insensitive).
- *  2. Slugify title and match against slugified entry.slug.
- *  3. If still not found, match against slugified entry.id.
+ * Rule:
+ *  - If alias is provided, always use alias.
+ *  - Else if header is present, use header text (block ids are not
+ *    readable text, so "^block" links fall back to the title).
+ *  - Else use the original title string.
  */
-function resolveTitleToEntry(title) {
-  if (!title) return null;
+function buildDisplayText({ title, header, alias }) {
+  if (alias && alias.trim()) return alias.trim();
+  if (header && header.trim() && !header.trim().startsWith('^')) {
+    return header.trim();
+  }
+  return title;
+}
 
-  const normalizedTitle = String(title).trim().toLowerCase();
-  const { byTitle, bySlugKey, byIdKey } = CONTENT_INDEX;
+/**
+ * Link rendered for unresolved/ambiguous targets and missing attachments:
+ * an <a> with a special class and tooltip, href="#" so it goes nowhere.
+ */
+function missingLinkNode(text) {
+  return {
+    type: 'link',
+    url: '#',
+    data: {
+      hProperties: {
+        className: ['wikilink', 'wikilink--missing'],
+        title: 'this link is either private or yet to be connected',
+        'aria-disabled': 'true',
+        'data-wiki-missing': 'true',
+      },
+    },
+    children: [{ type: 'text', value: text }],
+  };
+}
 
-  // 1. Exact title match
-  if (byTitle.has(normalizedTitle)) {
-    return byTitle.get(normalizedTitle);
+/**
+ * Missing link for a target that didn't resolve. Unpublished targets are
+ * expected, so they aren't warned about; private ones show only the
+ * link's alias, never the note's title.
+ */
+function unresolvedLinkNode(parsed, resolution, ctx) {
+  const hidden = resolveUnpublished(parsed.title);
+  if (hidden.status === 'unresolved') {
+    ctx.warn(formatResolutionWarning(parsed.title, resolution));
+    return missingLinkNode(buildDisplayText(parsed));
   }
 
-  // 2 & 3. Slugified matches
-  const titleSlug = sanitizeSlug(title);
+  const isPrivate =
+    hidden.status === 'ambiguous'
+      ? hidden.candidates.some((node) => node.visibility === 'private')
+      : hidden.entry.visibility === 'private';
+  if (!isPrivate) return missingLinkNode(buildDisplayText(parsed));
+  return missingLinkNode(parsed.alias?.trim() || PRIVATE_LINK_TEXT);
+}
+
+function entryLinkNode(entry, parsed) {
+  return {
+    type: 'link',
+    url: buildUrlForEntry(entry, parsed.header),
+    data: {
+      hProperties: {
+        className: ['wikilink'],
+        'data-wiki-title': parsed.title,
+        ...(parsed.header ? { 'data-wiki-header': parsed.header } : {}),
+        'data-wiki-collection': entry.collection,
+        'data-wiki-slug': entry.slug,
+      },
+    },
+    children: [{ type: 'text', value: buildDisplayText(parsed) }],
+  };
+}
+
+// ============================================================================
+// Attachments: ![[image.png|300]], ![[paper.pdf]], [[paper.pdf]]
+// ============================================================================
+
+/**
+ * "300" or "300x200" in the alias slot sizes an embedded image, as in
+ * Obsidian; any other alias is alt text.
+ */
+function parseMediaAlias(alias) {
+  const size = /^(\d+)(?:x(\d+))?$/.exec(String(alias || '').trim());
+  if (!size) return { alt: alias || null, width: null, height: null };
+  return { alt: null, width: Number(size[1]), height: size[2] ? Number(size[2]) : null };
+}
+
+/**
+ * Find an attachment by vault-relative path or bare file name.
+ * @returns {string|null} relative path under the content root
+ */
+function lookupAttachment(index, title) {
+  const key = title.replace(/\\/g, '/').replace(/^\/+/, '').toLowerCase();
+  return index.get(key) ?? index.get(path.posix.basename(key)) ?? null;
+}
+
+/**
+ * mdast for an attachment. Embeds render as media (img / object / video /
+ * audio); plain [[file.pdf]] links point at the file.
+ */
+function attachmentNode(parsed, embed, ctx) {
+  const relPath = lookupAttachment(ctx.attachments(), parsed.title);
+  const label = parsed.alias || path.posix.basename(parsed.title);
 
-  if (bySlugKey.has(titleSlug)) {
-    return bySlugKey.get(titleSlug);
+  if (!relPath) {
+    ctx.warn(`Missing attachment "${parsed.title}"`);
+    return missingLinkNode(label);
   }
 
-  if (byIdKey.has(titleSlug)) {
-    return byIdKey.get(titleSlug);
+  const url = attachmentUrl(relPath);
+  const kind = attachmentKind(relPath);
+  const fileLink = {
+    type: 'link',
+    url,
+    data: { hProperties: { className: ['wikilink', 'wikilink--attachment'] } },
+    children: [{ type: 'text', value: label }],
+  };
+
+  if (!embed) return fileLink;
+
+  if (kind === 'image') {
+    const { alt, width, height } = parseMediaAlias(parsed.alias);
+    return {
+      type: 'image',
+      url,
+      alt: alt ?? path.posix.basename(relPath),
+      data: {
+        hProperties: {
+          className: ['embed-media'],
+          ...(width ? { width } : {}),
+          ...(height ? { height } : {}),
+        },
+      },
+    };
   }
 
-  return null;
+  // PDFs, video and audio: the link doubles as fallback content
+  const media =
+    kind === 'pdf'
+      ? { hName: 'object', hProperties: { data: url, type: 'application/pdf' } }
+      : { hName: kind, hProperties: { src: url, controls: true, preload: 'metadata' } };
+
+  return {
+    type: 'embedMedia',
+    data: {
+      hName: media.hName,
+      hProperties: { className: ['embed-media', `embed-media--${kind}`], ...media.hProperties },
+    },
+    children: [fileLink],
+  };
 }
 
+// ============================================================================
+// Note embeds: ![[Note]], ![[Note#Section]], ![[Note#^block]]
+// ============================================================================
+
+// A paragraph made only of embeds (what Obsidian renders as a block)
+const EMBED_PARAGRAPH = /^\s*(?:!\[\[[^[\]]+\]\]\s*)+$/;
+const EMBED_PATTERN = /!\[\[([^[\]]+)\]\]/g;
+
 /**
- * Parse the inner body of a wiki-link.
- *
- * Examples:
- *  - "Title"                 => { title: "Title", header: null, alias: null }
- *  - "Title|Alias"           => { title: "Title", header: null, alias: "Alias" }
- *  - "Title#Header"          => { title: "Title", header: "Header", alias: null }
- *  - "Title#Header|Alias"    => { title: "Title", header: "Header", alias: "Alias" }
+ * Parse a note from disk the same way Astro's markdown pipeline sees it
+ * (frontmatter stripped, GFM enabled).
  */
-function parseWikiLinkBody(body) {
-  const raw = String(body || '');
+function parseNoteFile(contentRoot, entry) {
+  const source = fs.readFileSync(path.join(contentRoot, entry.filePath), 'utf8');
+  return fromMarkdown(matter(source).content, {
+    extensions: [gfm()],
+    mdastExtensions: [gfmFromMarkdown()],
+  });
+}
 
-  // Split on the first '|' to separate alias (if present)
-  const [targetPart, aliasPart] = raw.split('|', 2);
-  const alias = aliasPart ? aliasPart.trim() || null : null;
+const idOf = (node) => node.data?.hProperties?.id;
 
-  // Within the target, split on the first '#'
-  const [rawTitle, rawHeader] = targetPart.split('#', 2);
-  const title = (rawTitle || '').trim();
-  const header = rawHeader ? rawHeader.trim() || null : null;
+/**
+ * The part of an embedded note a fragment selects:
+ *  - heading: the heading and everything up to the next heading of the
+ *    same or higher level
+ *  - block:   the single block carrying the ^id
+ *
+ * @returns {any[]|null}  null when the fragment doesn't exist
+ */
+function selectFragment(tree, fragment) {
+  if (!fragment) return tree.children;
+
+  if (fragment.type === 'heading') {
+    const start = tree.children.findIndex(
+      (node) => node.type === 'heading' && idOf(node) === fragment.anchor
+    );
+    if (start === -1) return null;
+
+    const depth = tree.children[start].depth;
+    let end = start + 1;
+    while (end < tree.children.length) {
+      const node = tree.children[end];
+      if (node.type === 'heading' && node.depth <= depth) break;
+      end++;
+    }
+    return tree.children.slice(start, end);
+  }
 
-  return { title, header, alias };
+  let found = null;
+  visit(tree, (node) => {
+    if (found || idOf(node) !== fragment.anchor) return;
+    found = node;
+  });
+  if (!found) return null;
+  // A list item needs its list around it to render as one
+  return [found.type === 'listItem' ? { type: 'list', ordered: false, spread: false, children: [found] } : found];
 }
 
 /**
- * Construct the URL for a resolved entry, optionally with a header fragment.
- * Follows the convention: /{collection}/{slug}/#heading
+ * Namespace ids inside embedded content so they can't clash with the
+ * host page (or with a second embed of the same note).
  */
-function buildUrlForEntry(entry, header) {
-  const base = `/${entry.collection}/${entry.slug}/`;
-  if (!header) return base;
+function prefixIds(nodes, prefix) {
+  for (const root of nodes) {
+    visit(root, (node) => {
+      const id = idOf(node);
+      if (id) node.data.hProperties.id = `${prefix}-${id}`;
+    });
+  }
+}
 
-  const fragment = slugifyHeading(header);
-  return fragment ? `${base}#${fragment}` : base;
+function embedAside(entry, parsed, className, children) {
+  return {
+    type: 'embed',
+    data: {
+      hName: 'aside',
+      hProperties: {
+        className,
+        'data-embed-collection': entry.collection,
+        'data-embed-slug': entry.slug,
+        ...(parsed.header ? { 'data-embed-header': parsed.header } : {}),
+      },
+    },
+    children,
+  };
 }
 
 /**
- * Choose the display text for a wiki-link.
- *
- * Rule:
- *  - If alias is provided, always use alias.
- *  - Else if header is present, use header text.
- *  - Else use the original title string.
+ * mdast for a single ![[Note...]] block embed.
  */
-function buildDisplayText({ title, header, alias }) {
-  if (alias && alias.trim()) return alias.trim();
-  if (header && header.trim()) return header.trim();
-  return title;
+function noteEmbedNode(parsed, ctx) {
+  const resolution = resolveWikiLink(parsed.title);
+  if (resolution.status !== 'resolved') {
+    return { type: 'paragraph', children: [unresolvedLinkNode(parsed, resolution, ctx)] };
+  }
+
+  const entry = resolution.entry;
+  const fragment = parseFragment(parsed.header);
+  const backLink = {
+    type: 'paragraph',
+    data: { hProperties: { className: ['embed__source'] } },
+    children: [entryLinkNode(entry, { ...parsed, alias: parsed.alias || entry.title })],
+  };
+
+  // Stop at the depth limit: link instead of inlining
+  if (ctx.depth >= ctx.maxDepth) {
+    ctx.warn(`Embed depth limit (${ctx.maxDepth}) reached at "${parsed.title}"`);
+    return { type: 'paragraph', children: [entryLinkNode(entry, parsed)] };
+  }
+
+  // Embedding something already being embedded would never terminate
+  const key = `${entry.id}#${fragment?.anchor ?? ''}`;
+  if (ctx.stack.includes(key)) {
+    ctx.warn(`Circular embed "${parsed.title}" (${[...ctx.stack, key].join(' → ')})`);
+    return embedAside(entry, parsed, ['embed', 'embed--cycle'], [
+      { type: 'paragraph', children: [{ type: 'text', value: 'Circular embed skipped.' }] },
+      backLink,
+    ]);
+  }
+
+  if (!entry.filePath) {
+    return { type: 'paragraph', children: [entryLinkNode(entry, parsed)] };
+  }
+
+  const tree = parseNoteFile(ctx.contentRoot, entry);
+  assignHeadingIds(tree);
+  assignBlockIds(tree);
+
+  const selected = selectFragment(tree, fragment);
+  if (!selected) {
+    ctx.warn(formatFragmentWarning(parsed.title, parsed.header, fragment));
+    return { type: 'paragraph', children: [entryLinkNode(entry, parsed)] };
+  }
+
+  const body = { type: 'root', children: selected };
+  prefixIds(body.children, `embed-${++ctx.counter.value}`);
+  transformWikiLinks(body, { ...ctx, depth: ctx.depth + 1, stack: [...ctx.stack, key] });
+
+  return embedAside(entry, parsed, ['embed'], [...body.children, backLink]);
 }
 
 /**
- * Main remark plugin factory.
- *
- * Options (all optional, sane defaults):
- *  - warnOnUnresolved?: boolean (default: true in dev, false in prod)
+ * Replace paragraphs consisting only of ![[...]] embeds with the embedded
+ * content. Attachments stay inline (handled by the text pass).
  */
-export function remarkWikiLink(options = {}) {
-  const {
-    warnOnUnresolved = process.env.NODE_ENV !== 'production',
-  } = options;
+function expandEmbeds(tree, ctx) {
+  visit(tree, 'paragraph', (node, index, parent) => {
+    if (!parent || !node.children.every((child) => child.type === 'text')) return;
+
+    const value = node.children.map((child) => child.value).join('');
+    if (!EMBED_PARAGRAPH.test(value)) return;
+
+    const replacement = [];
+    for (const match of value.matchAll(EMBED_PATTERN)) {
+      const parsed = parseWikiLinkBody(match[1]);
+      if (!parsed.title) continue;
+
+      replacement.push(
+        attachmentKind(parsed.title)
+          ? { type: 'paragraph', children: [attachmentNode(parsed, true, ctx)] }
+          : noteEmbedNode(parsed, ctx)
+      );
+    }
+    if (replacement.length === 0) return;
+
+    parent.children.splice(index, 1, ...replacement);
+    return index + replacement.length;
+  });
+}
 
-  // Regex that finds wiki-links in text nodes: [[...]]
-  const WIKILINK_PATTERN = /\[\[([^[\]]+)\]\]/g;
+// ============================================================================
+// Transform
+// ============================================================================
 
-  return function transform(tree, file) {
-    visit(tree, 'text', (node, index, parent) => {
-      // Safety check – parent might be undefined in bizarre cases
-      if (!parent || typeof node.value !== 'string') return;
-
-      const value = node.value;
-      let match;
-      let lastIndex = 0;
-      const newNodes = [];
-
-      // Scan the text for all wiki-link matches
-      while ((match = WIKILINK_PATTERN.exec(value)) !== null) {
-        const fullMatch = match[0];    // e.g. "[[Title#Header|Alias]]"
-        const inner = match[1];        // e.g. "Title#Header|Alias"
-        const start = match.index;
-        const end = start + fullMatch.length;
-
-        // Push any plain text before this match
-        if (start > lastIndex) {
-          newNodes.push({
-            type: 'text',
-            value: value.slice(lastIndex, start),
-          });
-        }
-
-        const parsed = parseWikiLinkBody(inner);
-
-        // If we somehow have no title, just treat as plain text
-        if (!parsed.title) {
-          newNodes.push({ type: 'text', value: fullMatch });
-          lastIndex = end;
-          continue;
-        }
-
-        const entry = resolveTitleToEntry(parsed.title);
-
-        if (!entry) {
-          // Unresolved wiki-link:
-          // - Render as an <a> with a special class and tooltip.
-          // - href="#" so it doesn't navigate anywhere.
-          const missingText = buildDisplayText(parsed);
-
-          newNodes.push({
-            type: 'link',
-            url: '#',
-            data: {
-              hProperties: {
-                className: ['wikilink', 'wikilink--missing'],
-                title: 'this link is either private or yet to be connected',
-                'aria-disabled': 'true',
-                'data-wiki-missing': 'true',
-              },
-            },
-            children: [
-              {
-                type: 'text',
-                value: missingText,
-              },
-            ],
-          });
-
-          if (warnOnUnresolved) {
-            const msg = `Unresolved wiki-link: ${fullMatch}`;
-            if (file && typeof file.message === 'function') {
-              file.message(msg);
-            } else {
-              // Fallback for environments without vfile.message
-              console.warn(msg);
-            }
-          }
-
-          lastIndex = end;
-          continue;
-        }
-
-        // Resolved: build the URL and display text
-        const url = buildUrlForEntry(entry, parsed.header);
-        const text = buildDisplayText(parsed);
+// Regex that finds wiki-links in text nodes: [[...]] with an optional '!'
+const WIKILINK_PATTERN = /(!?)\[\[([^[\]]+)\]\]/g;
 
+/**
+ * Rewrite [[links]] and inline ![[attachments]] in text nodes.
+ */
+function rewriteWikiLinks(tree, ctx) {
+  visit(tree, 'text', (node, index, parent) => {
+    // Safety check – parent might be undefined in bizarre cases
+    if (!parent || typeof node.value !== 'string') return;
+
+    const value = node.value;
+    let match;
+    let lastIndex = 0;
+    const newNodes = [];
+
+    // Scan the text for all wiki-link matches
+    while ((match = WIKILINK_PATTERN.exec(value)) !== null) {
+      const fullMatch = match[0];    // e.g. "[[Title#Header|Alias]]"
+      const embed = match[1] === '!';
+      const inner = match[2];        // e.g. "Title#Header|Alias"
+      const start = match.index;
+      const end = start + fullMatch.length;
+
+      // Push any plain text before this match
+      if (start > lastIndex) {
         newNodes.push({
-          type: 'link',
-          url,
-          data: {
-            hProperties: {
-              className: ['wikilink'],
-              'data-wiki-title': parsed.title,
-              ...(parsed.header ? { 'data-wiki-header': parsed.header } : {}),
-              'data-wiki-collection': entry.collection,
-              'data-wiki-slug': entry.slug,
-            },
-          },
-          children: [
-            {
-              type: 'text',
-              value: text,
-            },
-          ],
+          type: 'text',
+          value: value.slice(lastIndex, start),
         });
+      }
+
+      const parsed = parseWikiLinkBody(inner);
 
+      // If we somehow have no title, just treat as plain text
+      if (!parsed.title) {
+        newNodes.push({ type: 'text', value: fullMatch });
         lastIndex = end;
+        continue;
       }
 
-      // If no matches, leave the node as-is
-      if (newNodes.length === 0) return;
+      if (attachmentKind(parsed.title)) {
+        newNodes.push(attachmentNode(parsed, embed, ctx));
+        lastIndex = end;
+        continue;
+      }
 
-      // Push any trailing text after the last match
-      if (lastIndex < value.length) {
-        newNodes.push({
-          type: 'text',
-          value: value.slice(lastIndex),
-        });
+      // Note embeds mid-sentence can't hold block content; link instead
+      const resolution = resolveWikiLink(parsed.title);
+      const entry =
+        resolution.status === 'resolved' ? resolution.entry : null;
+
+      if (!entry) {
+        newNodes.push(unresolvedLinkNode(parsed, resolution, ctx));
+
+        lastIndex = end;
+        continue;
       }
 
-      // Replace the original text node with our new sequence
-      parent.children.splice(index, 1, ...newNodes);
+      // Resolved: check the #heading / #^block exists in the target
+      const fragment = parseFragment(parsed.header);
+      if (fragment && !hasFragment(entry, fragment)) {
+        ctx.warn(formatFragmentWarning(parsed.title, parsed.header, fragment));
+      }
+
+      newNodes.push(entryLinkNode(entry, parsed));
+      lastIndex = end;
+    }
+
+    // If no matches, leave the node as-is
+    if (newNodes.length === 0) return;
+
+    // Push any trailing text after the last match
+    if (lastIndex < value.length) {
+      newNodes.push({
+        type: 'text',
+        value: value.slice(lastIndex),
+      });
+    }
+
+    // Replace the original text node with our new sequence
+    parent.children.splice(index, 1, ...newNodes);
+
+    // Tell unist-util-visit to skip over the newly inserted nodes
+    return index + newNodes.length;
+  });
+}
+
+/**
+ * Embeds first (they bring in new text), then links. Embedded notes go
+ * through this again one level deeper, with their key on `ctx.stack`
+ * ("<id>#<anchor>", "<id>#" for a whole note).
+ */
+function transformWikiLinks(tree, ctx) {
+  expandEmbeds(tree, ctx);
+  rewriteWikiLinks(tree, ctx);
+}
+
+/**
+ * The note being rendered, so embeds of it can be detected as cycles.
+ */
+function hostStack(file, contentRoot) {
+  const filePath = file?.path ? path.relative(contentRoot, file.path) : null;
+  const host = filePath ? entriesByFilePath.get(filePath) : null;
+  return host ? [`${host.id}#`] : [];
+}
+
+/**
+ * Main remark plugin factory.
+ *
+ * Options (all optional, sane defaults):
+ *  - warnOnUnresolved?: boolean (default: true in dev, false in prod)
+ *  - contentRoot?: string       (default: src/content under the cwd;
+ *    where embedded notes and attachments are read from)
+ *  - maxEmbedDepth?: number     (default: 3; deeper embeds become links)
+ *  - contentMapDigest?: string  (unused here; set by the content-map
+ *    integration so a new map changes the Astro config digest and
+ *    invalidates cached markdown renders)
+ */
+export function remarkWikiLink(options = {}) {
+  const {
+    warnOnUnresolved = process.env.NODE_ENV !== 'production',
+    contentRoot = path.resolve('src', 'content'),
+    maxEmbedDepth = 3,
+  } = options;
 
-      // Tell unist-util-visit to skip over the newly inserted nodes
-      return index + newNodes.length;
+  return function transform(tree, file) {
+    const warn = (msg) => {
+      if (!warnOnUnresolved) return;
+      if (file && typeof file.message === 'function') {
+        file.message(msg);
+      } else {
+        // Fallback for environments without vfile.message
+        console.warn(msg);
+      }
+    };
+
+    assignHeadingIds(tree);
+    assignBlockIds(tree);
+
+    transformWikiLinks(tree, {
+      warn,
+      contentRoot,
+      attachments: () => getAttachmentIndex(contentRoot),
+      maxDepth: maxEmbedDepth,
+      depth: 0,
+      stack: hostStack(file, contentRoot),
+      counter: { value: 0 },
     });
   };
 }
@@ -0,0 +1,391 @@
+// src/scripts/check-site.mjs
+// Post-build pass over dist/:
+//   - sitemap.xml   every indexable page, lastmod from its article dates
+//   - robots.txt    allow everything, point at the sitemap
+//   - link-health.json (src/data, next to content-health.json): internal
+//     href / src values with nothing behind them, #fragments the target
+//     page has no element for, and href="#" placeholders
+//
+// Run by the content-map integration after every build; also usable on
+// its own against an existing dist/ (CLI at the bottom):
+//   node src/scripts/check-site.mjs [--strict] [--fail-on=brokenLinks:5]
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath, pathToFileURL } from "node:url";
+
+import {
+  LINK_HEALTH_CATEGORIES,
+  LINK_STRICT_THRESHOLDS,
+  checkHealth,
+  healthCounts,
+  thresholdsFromArgs,
+} from "../lib/health.js";
+
+// ====================================================================
+// Reading built pages
+// ====================================================================
+
+/**
+ * All files under dir, as "/"-separated paths relative to it.
+ */
+async function listFiles(dir) {
+  const entries = await fs.readdir(dir, { recursive: true, withFileTypes: true });
+  return entries
+    .filter((entry) => entry.isFile())
+    .map((entry) =>
+      path.relative(dir, path.join(entry.parentPath ?? entry.path, entry.name)).split(path.sep).join("/")
+    )
+    .sort();
+}
+
+/** "notes/a/index.html" -> "/notes/a/", "404.html" -> "/404.html" */
+export function pagePathFor(file) {
+  return file === "index.html" || file.endsWith("/index.html")
+    ? `/${file.slice(0, -"index.html".length)}`
+    : `/${file}`;
+}
+
+const ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', "#39": "'", apos: "'" };
+const decodeEntities = (text) =>
+  text.replace(/&(amp|lt|gt|quot|#39|apos);/g, (_, name) => ENTITIES[name]);
+
+const attr = (tag, name) => {
+  const match = new RegExp(`\\s${name}=(?:"([^"]*)"|'([^']*)')`, "i").exec(tag);
+  return match ? decodeEntities(match[1] ?? match[2]) : null;
+};
+
+const stripTags = (html) => decodeEntities(html.replace(/<[^>]+>/g, "")).replace(/\s+/g, " ").trim();
+
+/**
+ * What the checks need from one page. Regex-based: the markup is Astro's
+ * own output, and comments, scripts and styles are dropped first so
+ * commented-out links don't count.
+ *
+ * @param {string} html
+ */
+export function scanHtml(html) {
+  const markup = html
+    .replace(/<!--[\s\S]*?-->/g, "")
+    .replace(/(<script\b[^>]*>)[\s\S]*?<\/script>/gi, "$1</script>")
+    .replace(/(<style\b[^>]*>)[\s\S]*?<\/style>/gi, "$1</style>");
+
+  const ids = new Set();
+  /** @type {Array<{ url:string, attr:"href"|"src", text:string, missing:boolean }>} */
+  const links = [];
+  const meta = {};
+
+  for (const match of markup.matchAll(/<([a-z][a-z0-9-]*)\b[^>]*>/gi)) {
+    const tag = match[0];
+    const name = match[1].toLowerCase();
+
+    const id = attr(tag, "id");
+    if (id) ids.add(id);
+    if (name === "a" && attr(tag, "name")) ids.add(attr(tag, "name"));
+
+    if (name === "meta") {
+      const key = attr(tag, "property") ?? attr(tag, "name") ?? attr(tag, "http-equiv");
+      if (key) meta[key.toLowerCase()] = attr(tag, "content") ?? "";
+      continue;
+    }
+    if (name === "link" && attr(tag, "rel") === "canonical") meta.canonical = attr(tag, "href");
+
+    for (const kind of ["href", "src"]) {
+      const url = attr(tag, kind);
+      if (url === null) continue;
+      // Link text, for reporting placeholders
+      const text =
+        name === "a" ? stripTags(markup.slice(match.index + tag.length).split(/<\/a>/i)[0]) : "";
+      links.push({ url, attr: kind, text, missing: /\sdata-wiki-missing=/.test(tag) });
+    }
+  }
+
+  return { ids, links, meta };
+}
+
+// ====================================================================
+// Links
+// ====================================================================
+
+/**
+ * The file a site path is served from, or null:
+ *   "/notes/a/" -> "notes/a/index.html", "/roadmap" -> "roadmap/index.html"
+ *   (Astro serves directories with or without the slash), "/feeds/rss.xml"
+ */
+function resolveTarget(pathname, files) {
+  const rel = pathname.replace(/^\/+/, "");
+  const candidates = rel === "" || rel.endsWith("/")
+    ? [`${rel}index.html`]
+    : [rel, `${rel}/index.html`, `${rel}.html`];
+  return candidates.find((file) => files.has(file)) ?? null;
+}
+
+/**
+ * The internal URL an href / src points at, or null for other sites,
+ * mailto:, data: and the like.
+ *
+ * @param {string} raw
+ * @param {string} pagePath  e.g. "/notes/a/"
+ * @param {URL} site
+ */
+function internalUrl(raw, pagePath, site) {
+  let url;
+  try {
+    url = new URL(raw, new URL(pagePath, site));
+  } catch {
+    return null;
+  }
+  if (url.protocol !== "http:" && url.protocol !== "https:") return null;
+  return url.host === site.host ? url : null;
+}
+
+const decode = (text) => {
+  try {
+    return decodeURIComponent(text);
+  } catch {
+    return text;
+  }
+};
+
+/**
+ * One entry per distinct problem with every page it appears on, like
+ * unresolvedWikiLinks in content-health.json.
+ */
+function collector(list) {
+  const byMessage = new Map();
+  return (target, message, source) => {
+    if (!byMessage.has(message)) {
+      const entry = { target, message, sources: [] };
+      byMessage.set(message, entry);
+      list.push(entry);
+    }
+    const { sources } = byMessage.get(message);
+    if (!sources.some((s) => s.page === source.page)) sources.push(source);
+  };
+}
+
+/**
+ * @param {Map<string, ReturnType<typeof scanHtml>>} pages  file -> scan
+ * @param {Set<string>} files  every file in dist/
+ * @param {URL} site
+ */
+export function checkLinks(pages, files, site) {
+  const linkHealth = { brokenLinks: [], brokenAnchors: [], placeholderLinks: [] };
+  const broken = collector(linkHealth.brokenLinks);
+  const brokenAnchor = collector(linkHealth.brokenAnchors);
+  const placeholder = collector(linkHealth.placeholderLinks);
+
+  for (const [file, { links }] of pages) {
+    const page = pagePathFor(file);
+    const source = { page, filePath: file };
+
+    for (const link of links) {
+      if (link.attr === "href" && link.url.trim() === "#") {
+        const kind = link.missing ? "Missing wiki-link" : "Empty link";
+        placeholder("#", `${kind} "${link.text}"`, source);
+        continue;
+      }
+
+      const url = internalUrl(link.url, page, site);
+      if (!url) continue;
+
+      const pathname = decode(url.pathname);
+      const target = resolveTarget(pathname, files);
+      if (!target) {
+        // Grouped by the value as written: a relative href in a shared
+        // component resolves to a different path on every page
+        const relative = !/^(?:[a-z][a-z0-9+.-]*:)?\/\//i.test(link.url) && !link.url.startsWith("/");
+        if (relative) broken(link.url, `Nothing at "${link.url}" (relative to the page)`, source);
+        else broken(pathname, `Nothing at ${pathname}`, source);
+        continue;
+      }
+
+      const fragment = decode(url.hash.slice(1));
+      // #top and text fragments always work; only pages have ids
+      if (!fragment || fragment === "top" || fragment.startsWith(":~:")) continue;
+      const targetPage = pages.get(target);
+      if (targetPage && !targetPage.ids.has(fragment)) {
+        const where = pagePathFor(target);
+        brokenAnchor(`${where}#${fragment}`, `No element with id "${fragment}" on ${where}`, source);
+      }
+    }
+  }
+  return linkHealth;
+}
+
+// ====================================================================
+// Sitemap + robots
+// ====================================================================
+
+const escapeXml = (text) =>
+  text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+
+/**
+ * Built pages left out of the sitemap: tools and legacy pages rather
+ * than content. Paths as served ("/search/").
+ */
+export const SITEMAP_EXCLUDE = Object.freeze(["/graph/", "/old-index/", "/search/"]);
+
+export const renderRobots = (site) =>
+  ["User-agent: *", "Allow: /", "", `Sitemap: ${new URL("/sitemap.xml", site).href}`, ""].join("\n");
+
+/**
+ * Pages worth indexing: not redirects, not error pages, not excluded,
+ * not marked noindex, and not duplicates whose canonical URL is another
+ * page.
+ */
+function isIndexable(file, { meta }, site) {
+  if (file === "404.html" || file === "500.html") return false;
+  if (SITEMAP_EXCLUDE.includes(pagePathFor(file))) return false;
+  if (meta.refresh !== undefined) return false;
+  if (/noindex/i.test(meta.robots ?? "")) return false;
+  if (meta.canonical) {
+    const canonical = internalUrl(meta.canonical, pagePathFor(file), site);
+    if (canonical && canonical.pathname !== pagePathFor(file)) return false;
+  }
+  return true;
+}
+
+/** Newest of the page's article dates (see BaseLayout), as YYYY-MM-DD */
+function lastmodOf({ meta }) {
+  const date = new Date(meta["article:modified_time"] ?? meta["article:published_time"] ?? "");
+  return Number.isNaN(date.getTime()) ? null : date.toISOString().slice(0, 10);
+}
+
+/**
+ * @param {Map<string, ReturnType<typeof scanHtml>>} pages
+ * @param {URL} site
+ */
+export function renderSitemap(pages, site) {
+  const urls = [...pages]
+    .filter(([file, scan]) => isIndexable(file, scan, site))
+    .map(([file, scan]) => {
+      const lastmod = lastmodOf(scan);
+      return [
+        "  <url>",
+        `    <loc>${escapeXml(new URL(pagePathFor(file), site).href)}</loc>`,
+        ...(lastmod ? [`    <lastmod>${lastmod}</lastmod>`] : []),
+        "  </url>",
+      ].join("\n");
+    });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+    ...urls,
+    "</urlset>",
+    "",
+  ].join("\n");
+}
+
+// ====================================================================
+// Check
+// ====================================================================
+
+const defaultLog = (msg) => console.log(`[check-site] ${msg}`);
+
+/**
+ * Write sitemap.xml and robots.txt into the build, and link-health.json
+ * into src/data (only when its contents changed).
+ *
+ * @param {{ distDir:string, site:URL|string, root?:string, log?:(msg:string) => void }} options
+ *   - distDir: the build output
+ *   - site:    production origin (`site` in astro.config.mjs)
+ *   - root:    project root (defaults to process.cwd())
+ * @returns {Promise<{ linkHealth:any, pages:number }>}
+ */
+export async function checkSite(options) {
+  const { distDir, root = process.cwd(), log = defaultLog } = options;
+  const site = new URL(options.site);
+
+  const fileList = await listFiles(distDir);
+  const files = new Set(fileList);
+
+  /** @type {Map<string, ReturnType<typeof scanHtml>>} */
+  const pages = new Map();
+  for (const file of fileList) {
+    if (!file.endsWith(".html")) continue;
+    pages.set(file, scanHtml(await fs.readFile(path.join(distDir, file), "utf8")));
+  }
+
+  // Written first so links to them count as present
+  await fs.writeFile(path.join(distDir, "sitemap.xml"), renderSitemap(pages, site), "utf8");
+  await fs.writeFile(path.join(distDir, "robots.txt"), renderRobots(site), "utf8");
+  files.add("sitemap.xml").add("robots.txt");
+
+  const linkHealth = checkLinks(pages, files, site);
+
+  const outPath = path.resolve(root, "src", "data", "link-health.json");
+  const json = JSON.stringify(linkHealth, null, 2);
+  const previous = await fs.readFile(outPath, "utf8").catch(() => null);
+  if (previous !== json) {
+    await fs.mkdir(path.dirname(outPath), { recursive: true });
+    await fs.writeFile(outPath, json, "utf8");
+    log("Wrote link-health.json");
+  }
+
+  const counts = healthCounts(linkHealth, LINK_HEALTH_CATEGORIES);
+  log(
+    `Checked ${pages.size} pages: ` +
+      LINK_HEALTH_CATEGORIES.map(({ key, label }) => `${counts[key]} ${label.toLowerCase()}`).join(", ")
+  );
+  return { linkHealth, pages: pages.size };
+}
+
+// ====================================================================
+// CLI entrypoint
+// ====================================================================
+
+async function main() {
+  const args = process.argv.slice(2);
+
+  let thresholds;
+  try {
+    thresholds = thresholdsFromArgs(args, {
+      strict: LINK_STRICT_THRESHOLDS,
+      categories: LINK_HEALTH_CATEGORIES,
+    });
+  } catch (err) {
+    console.error(`[check-site] ${err.message}`);
+    process.exitCode = 2;
+    return;
+  }
+
+  // `site` comes from the Astro config, like the integration's
+  const { default: config } = await import(pathToFileURL(path.resolve("astro.config.mjs")).href);
+  if (!config.site) {
+    console.error("[check-site] `site` is not set in astro.config.mjs");
+    process.exitCode = 2;
+    return;
+  }
+
+  const { linkHealth } = await checkSite({
+    distDir: path.resolve(config.outDir ?? "dist"),
+    site: config.site,
+  });
+
+  if (thresholds) {
+    const failures = checkHealth(linkHealth, thresholds, LINK_HEALTH_CATEGORIES);
+    for (const { key, label, count, max } of failures) {
+      console.error(`[check-site] ${label} (${key}): ${count} found, ${max} allowed`);
+    }
+    if (failures.length > 0) {
+      console.error("[check-site] Link check failed; see src/data/link-health.json");
+      process.exitCode = 1;
+      return;
+    }
+    defaultLog("Link check passed.");
+  }
+}
+
+// Only run when executed directly, not when imported by the integration
+const isDirectRun =
+  process.argv[1] &&
+  path.resolve(process.argv[1]) === fileURLToPath(import.meta.url);
+
+if (isDirectRun) {
+  main().catch((err) => {
+    console.error("[check-site] Fatal error:", err);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,377 @@
+// src/scripts/force-graph.js
+// Small force-directed graph renderer for the graph view (/graph and the
+// local graph on note pages). No dependencies: a naive O(n²) simulation
+// and plain SVG, which is plenty for a few hundred notes and works offline.
+//
+// Data comes from toGraphViewData() in src/lib/graph.ts.
+
+const SVG_NS = "http://www.w3.org/2000/svg";
+
+const LINK_DISTANCE = 70;
+const LINK_STRENGTH = 0.08;
+const CHARGE = -120;
+const GRAVITY = 0.06;
+const VELOCITY_DECAY = 0.55;
+const ALPHA_DECAY = 0.025;
+const ALPHA_MIN = 0.004;
+const MIN_SCALE = 0.2;
+const MAX_SCALE = 4;
+
+/**
+ * @typedef {{ id:string, title:string, collection:string, url:string, tags:string[] }} GraphNode
+ * @typedef {{ source:string, target:string, kind:string }} GraphEdge
+ * @typedef {{ nodes:GraphNode[], edges:GraphEdge[] }} GraphData
+ *
+ * @typedef {{ tag?:string|null, kinds?:Set<string>|null }} GraphFilter
+ */
+
+function svg(tag, attrs = {}) {
+  const el = document.createElementNS(SVG_NS, tag);
+  for (const [name, value] of Object.entries(attrs)) el.setAttribute(name, String(value));
+  return el;
+}
+
+const prefersReducedMotion = () =>
+  window.matchMedia?.("(prefers-reduced-motion: reduce)").matches ?? false;
+
+/**
+ * Render `data` into an <svg> and start laying it out.
+ *
+ * @param {SVGSVGElement} root
+ * @param {GraphData} data
+ * @param {{ currentId?:string|null, showLabels?:boolean, wheelZoom?:boolean }} [options]
+ *   wheelZoom: zoom on plain wheel scroll (otherwise only with Ctrl/⌘,
+ *   so an embedded graph doesn't trap page scrolling)
+ */
+export function createForceGraph(root, data, options = {}) {
+  const { currentId = null, showLabels = false, wheelZoom = true } = options;
+
+  // ------------------------------------------------------------------
+  // Model
+  // ------------------------------------------------------------------
+
+  const degree = new Map(data.nodes.map((n) => [n.id, 0]));
+  for (const edge of data.edges) {
+    degree.set(edge.source, (degree.get(edge.source) ?? 0) + 1);
+    degree.set(edge.target, (degree.get(edge.target) ?? 0) + 1);
+  }
+
+  // Phyllotaxis start positions: deterministic and evenly spread
+  const nodes = data.nodes.map((node, i) => {
+    const radius = 12 * Math.sqrt(i + 0.5);
+    const angle = i * Math.PI * (3 - Math.sqrt(5));
+    return {
+      ...node,
+      x: radius * Math.cos(angle),
+      y: radius * Math.sin(angle),
+      vx: 0,
+      vy: 0,
+      fixed: false,
+      visible: true,
+      radius: 4 + Math.sqrt(degree.get(node.id) ?? 0) * 1.8,
+    };
+  });
+  const byId = new Map(nodes.map((n) => [n.id, n]));
+
+  const edges = data.edges
+    .filter((e) => byId.has(e.source) && byId.has(e.target))
+    .map((e) => ({ ...e, from: byId.get(e.source), to: byId.get(e.target), visible: true }));
+
+  const neighbors = new Map(nodes.map((n) => [n.id, new Set([n.id])]));
+  for (const edge of edges) {
+    neighbors.get(edge.source).add(edge.target);
+    neighbors.get(edge.target).add(edge.source);
+  }
+
+  // ------------------------------------------------------------------
+  // View
+  // ------------------------------------------------------------------
+
+  root.replaceChildren();
+  root.classList.toggle("graph-view__svg--labels", showLabels);
+
+  const viewport = svg("g", { class: "graph-view__viewport" });
+  const edgeLayer = svg("g", { class: "graph-view__edges" });
+  const nodeLayer = svg("g", { class: "graph-view__nodes" });
+  viewport.append(edgeLayer, nodeLayer);
+  root.append(viewport);
+
+  for (const edge of edges) {
+    edge.el = svg("line", {
+      class: `graph-view__edge graph-view__edge--${edge.kind}`,
+    });
+    edgeLayer.append(edge.el);
+  }
+
+  for (const node of nodes) {
+    const classes = ["graph-view__node", `graph-view__node--${node.collection}`];
+    if (node.id === currentId) classes.push("graph-view__node--current");
+
+    node.el = svg("a", { href: node.url, class: classes.join(" "), "data-id": node.id });
+    const title = svg("title");
+    title.textContent = `${node.title} (${node.collection})`;
+    const label = svg("text", { x: 0, y: -node.radius - 4, "text-anchor": "middle" });
+    label.textContent = node.title;
+    node.el.append(title, svg("circle", { r: node.radius }), label);
+    nodeLayer.append(node.el);
+  }
+
+  let transform = { x: 0, y: 0, k: 1 };
+
+  function fitViewBox() {
+    const { width, height } = root.getBoundingClientRect();
+    const w = width || 600;
+    const h = height || 400;
+    root.setAttribute("viewBox", `${-w / 2} ${-h / 2} ${w} ${h}`);
+  }
+
+  function applyTransform() {
+    viewport.setAttribute(
+      "transform",
+      `translate(${transform.x} ${transform.y}) scale(${transform.k})`
+    );
+  }
+
+  function draw() {
+    for (const edge of edges) {
+      if (!edge.visible) continue;
+      edge.el.setAttribute("x1", edge.from.x.toFixed(1));
+      edge.el.setAttribute("y1", edge.from.y.toFixed(1));
+      edge.el.setAttribute("x2", edge.to.x.toFixed(1));
+      edge.el.setAttribute("y2", edge.to.y.toFixed(1));
+    }
+    for (const node of nodes) {
+      if (!node.visible) continue;
+      node.el.setAttribute("transform", `translate(${node.x.toFixed(1)} ${node.y.toFixed(1)})`);
+    }
+  }
+
+  // ------------------------------------------------------------------
+  // Simulation
+  // ------------------------------------------------------------------
+
+  let alpha = 1;
+  let frame = 0;
+
+  function tick() {
+    const active = nodes.filter((n) => n.visible);
+
+    // Repulsion between every pair
+    for (let i = 0; i < active.length; i++) {
+      const a = active[i];
+      for (let j = i + 1; j < active.length; j++) {
+        const b = active[j];
+        let dx = b.x - a.x;
+        let dy = b.y - a.y;
+        if (dx === 0 && dy === 0) {
+          dx = (Math.random() - 0.5) * 1e-3;
+          dy = (Math.random() - 0.5) * 1e-3;
+        }
+        const dist2 = Math.max(dx * dx + dy * dy, 1);
+        const force = (CHARGE * alpha) / dist2;
+        a.vx += dx * force;
+        a.vy += dy * force;
+        b.vx -= dx * force;
+        b.vy -= dy * force;
+      }
+    }
+
+    // Springs along links
+    for (const edge of edges) {
+      if (!edge.visible) continue;
+      const dx = edge.to.x - edge.from.x;
+      const dy = edge.to.y - edge.from.y;
+      const dist = Math.sqrt(dx * dx + dy * dy) || 1;
+      const force = ((dist - LINK_DISTANCE) / dist) * LINK_STRENGTH * alpha;
+      edge.from.vx += dx * force;
+      edge.from.vy += dy * force;
+      edge.to.vx -= dx * force;
+      edge.to.vy -= dy * force;
+    }
+
+    // Pull towards the centre so disconnected clusters stay on screen
+    for (const node of active) {
+      node.vx -= node.x * GRAVITY * alpha;
+      node.vy -= node.y * GRAVITY * alpha;
+
+      if (node.fixed) {
+        node.vx = 0;
+        node.vy = 0;
+        continue;
+      }
+      node.vx *= VELOCITY_DECAY;
+      node.vy *= VELOCITY_DECAY;
+      node.x += node.vx;
+      node.y += node.vy;
+    }
+
+    alpha *= 1 - ALPHA_DECAY;
+  }
+
+  function run() {
+    cancelAnimationFrame(frame);
+
+    if (prefersReducedMotion()) {
+      while (alpha > ALPHA_MIN) tick();
+      draw();
+      return;
+    }
+
+    const step = () => {
+      tick();
+      draw();
+      if (alpha > ALPHA_MIN) frame = requestAnimationFrame(step);
+    };
+    frame = requestAnimationFrame(step);
+  }
+
+  function reheat(value = 0.6) {
+    alpha = Math.max(alpha, value);
+    run();
+  }
+
+  // ------------------------------------------------------------------
+  // Interaction: hover/focus highlights neighbours, drag nodes, pan, zoom
+  // ------------------------------------------------------------------
+
+  function highlight(id) {
+    const near = id ? neighbors.get(id) : null;
+    root.classList.toggle("graph-view__svg--focus", Boolean(near));
+    for (const node of nodes) {
+      node.el.classList.toggle("is-near", Boolean(near?.has(node.id)));
+    }
+    for (const edge of edges) {
+      edge.el.classList.toggle("is-near", Boolean(near && (edge.source === id || edge.target === id)));
+    }
+  }
+
+  const nodeFromEvent = (event) => {
+    const el = event.target instanceof Element ? event.target.closest("[data-id]") : null;
+    return el ? byId.get(el.getAttribute("data-id")) : null;
+  };
+
+  root.addEventListener("pointerover", (event) => highlight(nodeFromEvent(event)?.id ?? null));
+  root.addEventListener("pointerleave", () => highlight(null));
+  root.addEventListener("focusin", (event) => highlight(nodeFromEvent(event)?.id ?? null));
+  root.addEventListener("focusout", () => highlight(null));
+
+  /** Screen point -> SVG user space (before pan/zoom) */
+  function toLocal(event) {
+    const point = root.createSVGPoint();
+    point.x = event.clientX;
+    point.y = event.clientY;
+    return point.matrixTransform(root.getScreenCTM().inverse());
+  }
+
+  /** Screen point -> graph coordinates (after pan/zoom) */
+  function toGraph(event) {
+    const local = toLocal(event);
+    return {
+      x: (local.x - transform.x) / transform.k,
+      y: (local.y - transform.y) / transform.k,
+    };
+  }
+
+  let drag = null;
+
+  root.addEventListener("pointerdown", (event) => {
+    if (event.button !== 0) return;
+    drag = {
+      node: nodeFromEvent(event),
+      start: toLocal(event),
+      origin: { ...transform },
+      moved: false,
+    };
+  });
+
+  root.addEventListener("pointermove", (event) => {
+    if (!drag) return;
+    const local = toLocal(event);
+    const dx = local.x - drag.start.x;
+    const dy = local.y - drag.start.y;
+
+    if (!drag.moved) {
+      if (Math.hypot(dx, dy) < 3) return;
+      // Only capture once it's a real drag, so plain clicks reach the link
+      drag.moved = true;
+      root.setPointerCapture(event.pointerId);
+      if (drag.node) drag.node.fixed = true;
+    }
+
+    if (drag.node) {
+      const point = toGraph(event);
+      drag.node.x = point.x;
+      drag.node.y = point.y;
+      reheat(0.3);
+    } else {
+      transform = { ...drag.origin, x: drag.origin.x + dx, y: drag.origin.y + dy };
+      applyTransform();
+    }
+  });
+
+  const endDrag = () => {
+    if (drag?.node) drag.node.fixed = false;
+    // Let the click handler below see whether this was a drag
+    setTimeout(() => (drag = null), 0);
+  };
+  root.addEventListener("pointerup", endDrag);
+  root.addEventListener("pointercancel", endDrag);
+
+  // A dragged node shouldn't also navigate
+  root.addEventListener("click", (event) => {
+    if (drag?.moved) event.preventDefault();
+  });
+
+  root.addEventListener(
+    "wheel",
+    (event) => {
+      if (!wheelZoom && !event.ctrlKey && !event.metaKey) return;
+      event.preventDefault();
+      const before = toGraph(event);
+      const k = Math.min(MAX_SCALE, Math.max(MIN_SCALE, transform.k * Math.exp(-event.deltaY * 0.001)));
+      transform = {
+        k,
+        x: transform.x + (before.x * transform.k - before.x * k),
+        y: transform.y + (before.y * transform.k - before.y * k),
+      };
+      applyTransform();
+    },
+    { passive: false }
+  );
+
+  const resizeObserver = new ResizeObserver(fitViewBox);
+  resizeObserver.observe(root);
+
+  fitViewBox();
+  applyTransform();
+  draw();
+  run();
+
+  return {
+    /**
+     * Show only nodes with `tag` (when set) and edges whose kind is in
+     * `kinds` (when set), then let the layout settle again.
+     *
+     * @param {GraphFilter} filter
+     */
+    setFilter({ tag = null, kinds = null } = {}) {
+      for (const node of nodes) {
+        node.visible = !tag || node.tags.includes(tag);
+        node.el.style.display = node.visible ? "" : "none";
+      }
+      for (const edge of edges) {
+        edge.visible =
+          edge.from.visible && edge.to.visible && (!kinds || kinds.has(edge.kind));
+        edge.el.style.display = edge.visible ? "" : "none";
+      }
+      draw();
+      reheat();
+    },
+
+    destroy() {
+      cancelAnimationFrame(frame);
+      resizeObserver.disconnect();
+      root.replaceChildren();
+    },
+  };
+}
@@ -1,36 +1,65 @@
 // src/scripts/generate-content-map.mjs
-// Generates both:
+// Generates:
 //   - src/data/content-map.json
 //   - src/data/content-health.json
+//   - src/data/related.json        (related-notes scores, see src/lib/related.js)
+//   - src/data/chains.json         (ordered chains, see src/lib/chains.js)
+//   - src/data/slug-history.json   (cuid -> past paths, see src/lib/slug-history.js)
+//
+// Runs automatically through the content-map integration
+// (src/integrations/content-map.js). Can still be run by hand / in CI:
+//   npm run genmap
+//   npm run check:content                        (same as genmap -- --strict)
+//   npm run genmap -- --fail-on=badFiles,unresolvedWikiLinks:20
+// --strict / --fail-on exit non-zero when content-health.json is over
+// the given thresholds, so a broken vault sync can block a deploy.
+//
+// `assign-cuids` writes a cuid into every published note that lacks one
+// (see assignCuids below):
+//   npm run assign-cuids -- --dry-run             (print diffs, write nothing)
 //
 // Requires: gray-matter
 //   npm install gray-matter --save-dev
 
 import fs from "node:fs/promises";
 import path from "node:path";
+import { createHash } from "node:crypto";
+import { fileURLToPath } from "node:url";
 import matter from "gray-matter";
+import {
+  createHeadingSlugger,
+  createWikiLinkResolver,
+  formatFragmentWarning,
+  formatResolutionWarning,
+  hasFragment,
+  nodeResolutionKeys,
+  parseBlockId,
+  parseFragment,
+  parseWikiLinkBody,
+  targetResolutionKeys,
+} from "../lib/wiki-links.js";
+import {
+  normalizeLinkField,
+  normalizeOptionalString,
+  normalizeString,
+  normalizeStringList,
+  slugifyContentPath,
+  titleFromSlug,
+} from "../lib/frontmatter.js";
+import { attachmentKind } from "../lib/attachments.js";
+import { PAGE_COLLECTIONS, REPO_COLLECTIONS, isPageCollection } from "../lib/collections.js";
+import { computeRelated, termFrequencies } from "../lib/related.js";
+import { buildChains } from "../lib/chains.js";
+import { checkHealth, thresholdsFromArgs } from "../lib/health.js";
+import { updateSlugHistory } from "../lib/slug-history.js";
+import { buildTagTaxonomy, hasTag, normalizeTags, tagsBySlug } from "../lib/tags.js";
+import { isPublished, readPublishing } from "../lib/publishing.js";
+import { mentionText } from "../lib/excerpt.js";
 
 // ====================================================================
 // Helpers
 // ====================================================================
 
-/**
- * Slugify a title or arbitrary string with the rules:
- * - lowercase
- * - whitespace -> single '-'
- * - strip non [a-z0-9-]
- * - collapse multiple '-'
- * - trim leading/trailing '-'
- */
-export function slugifyTitle(input) {
-  return String(input)
-    .toLowerCase()
-    .replace(/\s+/g, "-")
-    .replace(/[^a-z0-9-]/g, "-")
-    .replace(/-+/g, "-")
-    .replace(/^-|-$/g, "");
-}
-
 /**
  * Recursively find all .md / .mdx files under a directory.
  */
@@ -62,6 +91,39 @@ async function findMarkdownFiles(rootDir) {
   return result;
 }
 
+/**
+ * Every markdown file the map is built from: the vault, where the first
+ * folder is the collection, plus the collections kept in this repo
+ * (REPO_COLLECTIONS in src/lib/collections.js). `filePath` is relative
+ * to src/content either way; `pathParts` start with the collection.
+ *
+ * @param {string} projectRoot
+ * @returns {Promise<Array<{ absPath:string, filePath:string, pathParts:string[] }>>}
+ */
+async function findContentFiles(projectRoot) {
+  const contentRoot = path.resolve(projectRoot, "src", "content");
+  const found = (await findMarkdownFiles(contentRoot)).map((absPath) => ({
+    absPath,
+    pathParts: path.relative(contentRoot, absPath).split(path.sep),
+  }));
+
+  for (const [collection, dir] of Object.entries(REPO_COLLECTIONS)) {
+    const base = path.resolve(projectRoot, dir);
+    for (const absPath of await findMarkdownFiles(base)) {
+      found.push({
+        absPath,
+        pathParts: [collection, ...path.relative(base, absPath).split(path.sep)],
+      });
+    }
+  }
+
+  return found.map(({ absPath, pathParts }) => ({
+    absPath,
+    filePath: path.relative(contentRoot, absPath).split(path.sep).join("/"),
+    pathParts,
+  }));
+}
+
 /**
  * Parse all wiki-links from a string.
  *
@@ -70,42 +132,217 @@ async function findMarkdownFiles(rootDir) {
  *   [[title|alias]]
  *   [[title#HeaderName]]
  *   [[title#HeaderName|alias]]
+ *   [[title#^block-id]]
+ *   ![[title]] / ![[title#HeaderName]]   (embeds → `embed: true`)
  *
- * For graph purposes we only care about the `title` part
- * (before '|' and before '#').
+ * Edges only need the `title` part (before '|' and before '#');
+ * `header` is kept so fragments can be validated against the target.
+ * Attachment targets (![[image.png]], [[file.pdf]]) are not notes and
+ * are skipped.
  */
 export function parseWikiLinksFromString(text) {
   const links = [];
   if (!text || typeof text !== "string") return links;
 
-  const regex = /\[\[([^[\]]+?)\]\]/g;
+  const regex = /(!?)\[\[([^[\]]+?)\]\]/g;
   let match;
 
   while ((match = regex.exec(text))) {
-    const inner = match[1].trim();
+    const inner = match[2].trim();
     if (!inner) continue;
 
-    const [beforeAlias] = inner.split("|", 1); // "title#Header|alias" -> "title#Header"
-    const [titlePart] = beforeAlias.split("#", 1); // "title#Header" -> "title"
-    const cleanTitle = titlePart.trim();
-    if (!cleanTitle) continue;
+    const { title, header } = parseWikiLinkBody(inner);
+    if (!title) continue;
+    if (attachmentKind(title)) continue;
 
-    links.push({ title: cleanTitle, raw: match[0] });
+    links.push({ title, header, embed: match[1] === "!", raw: match[0], index: match.index });
   }
 
   return links;
 }
 
 /**
- * Normalize frontmatter fields that may contain wiki-links into an array of strings.
- * - Handles strings and arrays of strings.
- * - Ignores anything else.
+ * Collect heading anchors and Obsidian block ids from a markdown body,
+ * skipping fenced code. Heading slugs use the same per-document slugger
+ * as the remark plugin, so they match the rendered ids.
+ *
+ * @param {string} body
+ * @returns {{ headings:Array<{depth:number, text:string, slug:string}>, blockIds:string[] }}
+ */
+export function extractAnchors(body) {
+  const headings = [];
+  const blockIds = [];
+  if (!body || typeof body !== "string") return { headings, blockIds };
+
+  const slugger = createHeadingSlugger();
+  let fence = null;
+
+  for (const line of body.split(/\r?\n/)) {
+    const fenceMatch = /^ {0,3}(`{3,}|~{3,})/.exec(line);
+    if (fenceMatch) {
+      if (!fence) fence = fenceMatch[1][0];
+      else if (fenceMatch[1][0] === fence) fence = null;
+      continue;
+    }
+    if (fence) continue;
+
+    const heading = /^ {0,3}(#{1,6})[ \t]+(.*?)(?:[ \t]+#+)?[ \t]*$/.exec(line);
+    if (heading) {
+      // Rendered heading text drops link targets: "[text](url)" -> "text"
+      const text = heading[2].replace(/!?\[([^\]]*)\]\([^)]*\)/g, "$1").trim();
+      headings.push({ depth: heading[1].length, text, slug: slugger(text) });
+      continue;
+    }
+
+    const block = parseBlockId(line);
+    if (block) blockIds.push(block.id);
+  }
+
+  return { headings, blockIds };
+}
+
+const WIKI_LINK = /!?\[\[[^[\]]+?\]\]/g;
+// Where a line's own text starts: after quote markers, list bullets, task boxes
+const LINE_MARKER = /^ {0,3}((?:>\s?)+)?\s*([-*+]\s+(?:\[[ xX]\]\s+)?|\d+[.)]\s+)?/;
+
+/**
+ * The paragraph around every wiki-link of a markdown body, for backlink
+ * context (see mentionText in src/lib/excerpt.js), keyed by the link's
+ * offset in `body` as reported by parseWikiLinksFromString.
+ *
+ * Paragraphs end at blank lines, and every list item or quote starts a
+ * new one.
+ * Fenced code, tables and headings have no context; quote and list
+ * markers are dropped. `heading` is the section the link is in, with
+ * the same slug as the rendered heading id (see extractAnchors).
+ *
+ * @param {string} body
+ * @returns {Map<number, LinkContextSource>}
+ */
+export function extractLinkContexts(body) {
+  /** @type {Map<number, LinkContextSource>} */
+  const contexts = new Map();
+  if (!body || typeof body !== "string") return contexts;
+
+  const slugger = createHeadingSlugger();
+  let fence = null;
+  /** @type {{ text:string, slug:string } | null} */
+  let heading = null;
+  /** Lines of the current paragraph: where each starts in `body` and its text */
+  let lines = [];
+  let quoted = false;
+
+  const flush = () => {
+    if (lines.length === 0) return;
+    const text = lines.map((line) => line.text).join(" ");
+
+    let lineIndex = 0;
+    let lineStart = 0; // offset of lines[lineIndex] in `text`
+    for (const match of text.matchAll(WIKI_LINK)) {
+      while (
+        lineIndex < lines.length - 1 &&
+        match.index >= lineStart + lines[lineIndex].text.length + 1
+      ) {
+        lineStart += lines[lineIndex].text.length + 1;
+        lineIndex += 1;
+      }
+      contexts.set(lines[lineIndex].offset + match.index - lineStart, {
+        before: text.slice(0, match.index),
+        link: match[0],
+        after: text.slice(match.index + match[0].length),
+        heading,
+      });
+    }
+    lines = [];
+  };
+
+  let offset = 0;
+  for (const rawLine of body.split("\n")) {
+    const line = rawLine.replace(/\r$/, "");
+    const lineOffset = offset;
+    offset += rawLine.length + 1;
+
+    const fenceMatch = /^ {0,3}(`{3,}|~{3,})/.exec(line);
+    if (fenceMatch) {
+      flush();
+      if (!fence) fence = fenceMatch[1][0];
+      else if (fenceMatch[1][0] === fence) fence = null;
+      continue;
+    }
+    if (fence) continue;
+
+    const headingMatch = /^ {0,3}(#{1,6})[ \t]+(.*?)(?:[ \t]+#+)?[ \t]*$/.exec(line);
+    if (headingMatch) {
+      flush();
+      const text = headingMatch[2].replace(/!?\[([^\]]*)\]\([^)]*\)/g, "$1").trim();
+      heading = { text, slug: slugger(text) };
+      continue;
+    }
+
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith("|") || /^(-{3,}|\*{3,}|_{3,})$/.test(trimmed)) {
+      flush();
+      continue;
+    }
+
+    const marker = LINE_MARKER.exec(line);
+    // A list item starts its own paragraph, and so does a quote
+    if (marker[2] || Boolean(marker[1]) !== quoted) flush();
+    quoted = Boolean(marker[1]);
+    // Trailing ^block ids aren't prose
+    const text = line.slice(marker[0].length).replace(/\s+\^[A-Za-z0-9-]+\s*$/, "").trimEnd();
+    if (text) lines.push({ offset: lineOffset + marker[0].length, text });
+  }
+  flush();
+
+  return contexts;
+}
+
+/**
+ * The prose lines of a markdown body, for the unlinked-mention scan
+ * (see findUnlinkedMentions): everything but fenced code, headings and
+ * blank lines, as markdown. `line` counts from the top of the file, so
+ * pass the number of lines the frontmatter takes.
+ *
+ * @param {string} body
+ * @param {number} [firstLine]  file line of the body's first line
+ * @returns {ProseLine[]}
+ */
+export function extractProseLines(body, firstLine = 1) {
+  /** @type {ProseLine[]} */
+  const prose = [];
+  if (!body || typeof body !== "string") return prose;
+
+  let fence = null;
+  body.split(/\r?\n/).forEach((line, i) => {
+    const fenceMatch = /^ {0,3}(`{3,}|~{3,})/.exec(line);
+    if (fenceMatch) {
+      if (!fence) fence = fenceMatch[1][0];
+      else if (fenceMatch[1][0] === fence) fence = null;
+      return;
+    }
+    if (fence || !line.trim()) return;
+    if (/^ {0,3}#{1,6}[ \t]/.test(line)) return;
+
+    prose.push({ line: firstLine + i, text: line });
+  });
+
+  return prose;
+}
+
+// Parts of a prose line that aren't plain text: inline code, links
+// (wiki, markdown, autolinks, bare URLs), HTML tags and ^block ids
+const NOT_PLAIN_TEXT =
+  /`[^`]*`|!?\[\[[^[\]]+?\]\]|!?\[[^\]]*\]\([^)]*\)|<[^>]+>|https?:\/\/\S+|\s\^[A-Za-z0-9-]+\s*$/g;
+
+/**
+ * A prose line with everything but plain text blanked out, keeping
+ * offsets, so a name inside a link or code span never matches.
+ *
+ * @param {string} text
  */
-function normalizeFieldToStrings(value) {
-  if (!value) return [];
-  if (typeof value === "string") return [value];
-  if (Array.isArray(value)) return value.filter((v) => typeof v === "string");
-  return [];
+function plainTextOnly(text) {
+  return text.replace(NOT_PLAIN_TEXT, (part) => " ".repeat(part.length));
 }
 
 // ====================================================================
@@ -115,13 +352,50 @@ function normalizeFieldToStrings(value) {
 /**
  * kind/origin for links
  * - "body"      => from markdown body
+ * - "embed"     => from a markdown body transclusion (![[title]])
  * - "resources" => from frontmatter.resources
  * - "source"    => from frontmatter.source
  * - "chains"    => from frontmatter.chains
  */
 
 /**
- * @typedef {{ id:string, cuid:string|null, title:string, slug:string, collection:string, kind:string }} LinkRef
+ * Where a body link was written: plain text with the link's text at
+ * `mark`, and the heading of its section. Inbound links only, so a
+ * backlink can show where it was mentioned.
+ * @typedef {{
+ *   text:string,
+ *   mark:[number, number],
+ *   heading:{ text:string, slug:string }|null,
+ * }} LinkContext
+ *
+ * @typedef {{
+ *   id:string,
+ *   cuid:string|null,
+ *   title:string,
+ *   slug:string,
+ *   collection:string,
+ *   kind:string,
+ *   context?:LinkContext,
+ * }} LinkRef
+ *
+ * The paragraph around a body link, as markdown (see extractLinkContexts):
+ * @typedef {{
+ *   before:string,
+ *   link:string,
+ *   after:string,
+ *   heading:{ text:string, slug:string }|null,
+ * }} LinkContextSource
+ *
+ * `fragment` is the raw text after '#' (heading or ^block), if any.
+ * @typedef {{
+ *   targetTitle:string,
+ *   fragment:string|null,
+ *   origin:string,
+ *   context?:LinkContextSource,
+ * }} RawLink
+ *
+ * A line of body prose, with its line number in the file:
+ * @typedef {{ line:number, text:string }} ProseLine
  *
  * @typedef {{
  *   id:string,
@@ -132,41 +406,151 @@ function normalizeFieldToStrings(value) {
  *   description:string,
  *   tags:string[],
  *   aliases:string[],
- *   rawLinks:Array<{targetTitle:string, origin:string}>,
+ *   headings:Array<{depth:number, text:string, slug:string}>,
+ *   blockIds:string[],
+ *   rawLinks:RawLink[],
+ *   terms:Record<string, number>,
+ *   prose:ProseLine[],
  *   outboundLinks:LinkRef[],
  *   inboundLinks:LinkRef[],
  *   chainedLinks:LinkRef[],
  *   filePath:string,
+ *   hash:string,
+ *   cachedResolved:ResolvedLink[]|null,
  * }} NodeInternal
+ *
+ * Everything derived from a single file's contents (cacheable by hash):
+ * @typedef {{
+ *   cuid:string|null,
+ *   fmTitle:string,
+ *   title:string,
+ *   description:string,
+ *   tags:string[],
+ *   aliases:string[],
+ *   headings:Array<{depth:number, text:string, slug:string}>,
+ *   blockIds:string[],
+ *   rawLinks:RawLink[],
+ *   terms:Record<string, number>,
+ *   prose:ProseLine[],
+ *   publishing:{ status:string, publishAt:string|null, visibility:string },
+ * }} FileRecord
+ *
+ * A file left out by the publishing rules (src/lib/publishing.js). Kept
+ * in memory only, so links to it aren't reported as broken and private
+ * titles never reach src/data:
+ * @typedef {{
+ *   id:string,
+ *   cuid:string|null,
+ *   slug:string,
+ *   collection:string,
+ *   title:string,
+ *   aliases:string[],
+ *   filePath:string,
+ *   visibility:string,
+ * }} UnpublishedNode
+ *
+ * Outcome of resolving one raw link (cacheable while the keys it depends
+ * on are untouched):
+ * @typedef {{ toId:string|null, warning:string|null }} ResolvedLink
+ */
+
+// ====================================================================
+// Incremental cache
+// ====================================================================
+
+/**
+ * Bump whenever FileRecord / ResolvedLink shape or the rules producing
+ * them change, so stale caches are discarded instead of trusted.
+ */
+const CACHE_VERSION = 8;
+
+/**
+ * Cache shape (node_modules/.cache/content-map/cache.json):
+ * @typedef {{
+ *   version:number,
+ *   files:Record<string, {
+ *     hash:string,
+ *     error?:string,
+ *     record?:FileRecord,
+ *     resolved?:ResolvedLink[],
+ *   }>,
+ *   nodeKeys:Record<string, string[]>,
+ * }} ContentMapCache
+ */
+
+function cachePathFor(projectRoot) {
+  return path.resolve(
+    projectRoot,
+    "node_modules",
+    ".cache",
+    "content-map",
+    "cache.json"
+  );
+}
+
+/** @returns {ContentMapCache} */
+function emptyCache() {
+  return { version: CACHE_VERSION, files: {}, nodeKeys: {} };
+}
+
+/**
+ * Read the cache; a missing, unreadable or outdated cache is just empty.
+ * @returns {Promise<ContentMapCache>}
  */
+async function readCache(projectRoot) {
+  try {
+    const cache = JSON.parse(
+      await fs.readFile(cachePathFor(projectRoot), "utf8")
+    );
+    if (cache && cache.version === CACHE_VERSION) return cache;
+  } catch {
+    // fall through
+  }
+  return emptyCache();
+}
+
+async function writeCache(projectRoot, cache) {
+  const cachePath = cachePathFor(projectRoot);
+  await fs.mkdir(path.dirname(cachePath), { recursive: true });
+  await fs.writeFile(cachePath, JSON.stringify(cache), "utf8");
+}
+
+function hashContent(content) {
+  return createHash("sha1").update(content).digest("hex");
+}
 
 // ====================================================================
 // Load content nodes (with error capture)
 // ====================================================================
 
 /**
- * Load all content nodes from src/content.
+ * Load all content nodes from src/content (and the collections kept in
+ * this repo, see findContentFiles).
  *
  * @param {{
  *   badFiles:any[],
- *   unresolvedWikiLinks:string[],
+ *   unresolvedWikiLinks:any[],
  *   idCollisions:any[],
  *   missingCuids:any[]
  * }} contentHealth
- * @returns {Promise<Map<string, NodeInternal>>}
+ * @param {string} projectRoot
+ * @param {ContentMapCache} cache      previous run (read-only)
+ * @param {ContentMapCache} nextCache  filled in for the next run
+ * @param {{ drafts?:boolean, now?:Date }} publishOptions  see isPublished()
+ * @returns {Promise<{
+ *   nodesById:Map<string, NodeInternal>,
+ *   unpublished:UnpublishedNode[],
+ * }>}
  */
-async function loadContentNodes(contentHealth) {
-  const projectRoot = process.cwd();
-  const contentRoot = path.resolve(projectRoot, "src", "content");
-  const files = await findMarkdownFiles(contentRoot);
+async function loadContentNodes(contentHealth, projectRoot, cache, nextCache, publishOptions) {
+  const files = await findContentFiles(projectRoot);
 
   /** @type {Map<string, NodeInternal>} */
   const nodesById = new Map();
+  /** @type {UnpublishedNode[]} */
+  const unpublished = [];
 
-  for (const absPath of files) {
-    const relFromContent = path.relative(contentRoot, absPath);
-    const pathParts = relFromContent.split(path.sep);
-
+  for (const { absPath, filePath: relFromContent, pathParts } of files) {
     // Expect at least "collection/file.md"
     if (pathParts.length < 2) {
       contentHealth.badFiles.push({
@@ -180,12 +564,7 @@ async function loadContentNodes(contentHealth) {
     const restPath = pathParts.slice(1).join("/");
     const withoutExt = restPath.replace(/\.(md|mdx)$/i, "");
 
-    const slugSegments = withoutExt
-      .split(/[\\/]/)
-      .map((s) => slugifyTitle(s))
-      .filter(Boolean);
-
-    const slug = slugSegments.join("/");
+    const slug = slugifyContentPath(restPath);
 
     // ------------------------------
     // Read + parse file
@@ -201,105 +580,83 @@ async function loadContentNodes(contentHealth) {
       continue;
     }
 
-    let parsed;
-    try {
-      parsed = matter(fileContent);
-    } catch (err) {
+    // Unchanged files reuse their parsed record from the cache
+    const hash = hashContent(fileContent);
+    const cached = cache.files[relFromContent];
+    const isCached = cached && cached.hash === hash;
+
+    let record = isCached ? cached.record : undefined;
+    let parseError = isCached ? cached.error : undefined;
+    if (!isCached) {
+      try {
+        record = parseContentFile(fileContent, slug, withoutExt);
+      } catch (err) {
+        parseError = err.message;
+      }
+    }
+
+    nextCache.files[relFromContent] = parseError
+      ? { hash, error: parseError }
+      : { hash, record };
+
+    if (parseError) {
       contentHealth.badFiles.push({
         filePath: relFromContent,
-        error: `Frontmatter parse error: ${err.message}`,
+        error: `Frontmatter parse error: ${parseError}`,
       });
       continue;
     }
 
-    const fm = parsed.data || {};
-    const body = parsed.content || "";
+    const {
+      cuid,
+      fmTitle,
+      title,
+      description,
+      tags,
+      aliases,
+      headings,
+      blockIds,
+      rawLinks,
+      terms,
+      prose,
+      publishing,
+    } = record;
 
     // ------------------------------
     // Identity: CUID or fallback
     // ------------------------------
-    const fmCuid = typeof fm.cuid === "string" ? fm.cuid.trim() : "";
-    const cuid = fmCuid || null;
     const fallbackId = `${collection}/${slug}`;
-    const id = fmCuid || fallbackId;
+    const id = cuid || fallbackId;
+
+    // Drafts, scheduled and private files stay out of the map (and the
+    // health report, which is checked in too)
+    const published = isPublished(
+      { ...publishing, publishAt: publishing.publishAt ? new Date(publishing.publishAt) : null },
+      publishOptions
+    );
+    if (!published) {
+      unpublished.push({
+        id,
+        cuid,
+        slug,
+        collection,
+        title,
+        aliases,
+        filePath: relFromContent,
+        visibility: publishing.visibility,
+      });
+      continue;
+    }
 
     if (!cuid) {
       contentHealth.missingCuids.push({
         filePath: relFromContent,
         collection,
         slug,
-        title: typeof fm.title === "string" ? fm.title.trim() : "",
+        title: fmTitle,
       });
     }
 
-    // ------------------------------
-    // Basic metadata
-    // ------------------------------
-    const title =
-      (typeof fm.title === "string" && fm.title.trim()) ||
-      slugSegments[slugSegments.length - 1] ||
-      withoutExt;
-
-    const description =
-      typeof fm.description === "string" ? fm.description.trim() : "";
-
-    let tags = [];
-    if (Array.isArray(fm.tags)) {
-      tags = fm.tags
-        .filter((t) => typeof t === "string")
-        .map((t) => t.trim())
-        .filter(Boolean);
-    } else if (typeof fm.tags === "string") {
-      tags = fm.tags
-        .split(",")
-        .map((t) => t.trim())
-        .filter(Boolean);
-    }
-
-    let aliases = [];
-    if (Array.isArray(fm.aliases)) {
-      aliases = fm.aliases
-        .filter((a) => typeof a === "string")
-        .map((a) => a.trim())
-        .filter(Boolean);
-    } else if (typeof fm.aliases === "string") {
-      aliases = fm.aliases
-        .split(",")
-        .map((a) => a.trim())
-        .filter(Boolean);
-    }
-
-    // ------------------------------
-    // Collect raw wiki-links with origin kind
-    // ------------------------------
-    const rawLinks = [];
-
-    // From body
-    for (const link of parseWikiLinksFromString(body)) {
-      rawLinks.push({ targetTitle: link.title, origin: "body" });
-    }
-
-    // From frontmatter.resources
-    for (const s of normalizeFieldToStrings(fm.resources)) {
-      for (const link of parseWikiLinksFromString(s)) {
-        rawLinks.push({ targetTitle: link.title, origin: "resources" });
-      }
-    }
-
-    // From frontmatter.source
-    for (const s of normalizeFieldToStrings(fm.source)) {
-      for (const link of parseWikiLinksFromString(s)) {
-        rawLinks.push({ targetTitle: link.title, origin: "source" });
-      }
-    }
-
-    // From frontmatter.chains
-    for (const s of normalizeFieldToStrings(fm.chains)) {
-      for (const link of parseWikiLinksFromString(s)) {
-        rawLinks.push({ targetTitle: link.title, origin: "chains" });
-      }
-    }
-
     /** @type {NodeInternal} */
     const node = {
       id,
@@ -310,11 +667,18 @@ async function loadContentNodes(contentHealth) {
       description,
       tags,
       aliases,
+      headings,
+      blockIds,
       rawLinks,
+      terms,
+      prose,
       outboundLinks: [],
       inboundLinks: [],
       chainedLinks: [],
       filePath: relFromContent,
+      hash,
+      cachedResolved:
+        isCached && Array.isArray(cached.resolved) ? cached.resolved : null,
     };
 
     // ------------------------------
@@ -334,95 +698,179 @@ async function loadContentNodes(contentHealth) {
     nodesById.set(id, node);
   }
 
-  return nodesById;
+  return { nodesById, unpublished };
 }
 
-// ====================================================================
-// Indices for resolution (title-based only, no alias resolution)
-// ====================================================================
-
 /**
- * Build lookup indices for resolving wiki-link titles.
+ * Parse one markdown file into everything the graph needs from it.
+ * Pure function of the file contents + path, so results are cacheable.
+ *
+ * @param {string} fileContent
+ * @param {string} slug
+ * @param {string} withoutExt
+ * @returns {FileRecord}
  */
-function buildIndices(nodesById) {
-  const titleIndex = new Map();
-  const slugIndex = new Map();
-
-  const add = (map, key, id) => {
-    if (!key) return;
-    if (!map.has(key)) map.set(key, new Set());
-    map.get(key).add(id);
-  };
+function parseContentFile(fileContent, slug, withoutExt) {
+  const parsed = matter(fileContent);
+  const fm = parsed.data || {};
+  const body = parsed.content || "";
+
+  // Field handling mirrors the collection schemas in src/content.config.ts
+  // (both use src/lib/frontmatter.js).
+  const cuid = normalizeOptionalString(fm.cuid);
+  const fmTitle = normalizeString(fm.title);
+  // Throws on a bad visibility / publishAt, like the collection schema
+  const { status, publishAt, visibility } = readPublishing(fm);
+
+  // ------------------------------
+  // Basic metadata
+  // ------------------------------
+  const title = fmTitle || (slug ? titleFromSlug(slug) : withoutExt);
+
+  const description = normalizeString(fm.description);
+  const tags = normalizeTags(fm.tags);
+  const aliases = normalizeStringList(fm.aliases);
+
+  // ------------------------------
+  // Collect raw wiki-links with origin kind
+  // ------------------------------
+  const rawLinks = [];
+
+  // From body (plain links and ![[embeds]]); plain links keep their
+  // paragraph for backlink context
+  const contexts = extractLinkContexts(body);
+  for (const link of parseWikiLinksFromString(body)) {
+    const context = link.embed ? undefined : contexts.get(link.index);
+    rawLinks.push({
+      targetTitle: link.title,
+      fragment: link.header,
+      origin: link.embed ? "embed" : "body",
+      ...(context && { context }),
+    });
+  }
 
-  for (const [id, node] of nodesById) {
-    const t = node.title || "";
-    const tl = t.toLowerCase();
+  // From frontmatter.resources
+  for (const s of normalizeLinkField(fm.resources)) {
+    for (const link of parseWikiLinksFromString(s)) {
+      rawLinks.push({
+        targetTitle: link.title,
+        fragment: link.header,
+        origin: "resources",
+      });
+    }
+  }
 
-    // Title indices (exact + lowercase)
-    add(titleIndex, t, id);
-    add(titleIndex, tl, id);
+  // From frontmatter.source
+  for (const s of normalizeLinkField(fm.source)) {
+    for (const link of parseWikiLinksFromString(s)) {
+      rawLinks.push({
+        targetTitle: link.title,
+        fragment: link.header,
+        origin: "source",
+      });
+    }
+  }
 
-    // Slug indices (slugified title + node.slug)
-    add(slugIndex, slugifyTitle(t), id);
-    add(slugIndex, slugifyTitle(node.slug), id);
+  // From frontmatter.chains
+  for (const s of normalizeLinkField(fm.chains)) {
+    for (const link of parseWikiLinksFromString(s)) {
+      rawLinks.push({
+        targetTitle: link.title,
+        fragment: link.header,
+        origin: "chains",
+      });
+    }
   }
 
-  return { titleIndex, slugIndex };
+  const { headings, blockIds } = extractAnchors(body);
+  const terms = termFrequencies(body);
+
+  // Frontmatter lines come before the body
+  const bodyStart = fileContent.endsWith(body)
+    ? fileContent.slice(0, fileContent.length - body.length).split("\n").length
+    : 1;
+  const prose = extractProseLines(body, bodyStart);
+
+  return {
+    cuid,
+    fmTitle,
+    title,
+    description,
+    tags,
+    aliases,
+    headings,
+    blockIds,
+    rawLinks,
+    terms,
+    prose,
+    publishing: { status, publishAt: publishAt ? publishAt.toISOString() : null, visibility },
+  };
 }
 
+// ====================================================================
+// Resolution (shared with the remark plugin via src/lib/wiki-links.js)
+// ====================================================================
+
 /**
- * Resolve a wiki-link title to a node id using the strategy:
- * 1. Exact title match.
- * 2. slugify(title) and match against slug/indexed slugs.
+ * Resolve a wiki-link title to a node id.
+ *
+ * Resolution order (title → alias → id/cuid → slug) is documented on
+ * createWikiLinkResolver. Ambiguous and unresolved links carry the
+ * warning that ends up in contentHealth.unresolvedWikiLinks.
  *
- * Adds messages to contentHealth.unresolvedWikiLinks for issues.
- * Aliases are NOT used for resolution; Obsidian handles rename behavior.
+ * @returns {ResolvedLink}
  */
-function resolveWikiLinkTarget(
-  rawTitle,
-  indices,
-  nodesById,
-  warningTracker,
-  contentHealth
-) {
-  const { titleIndex, slugIndex } = indices;
-
-  const lower = rawTitle.toLowerCase();
-
-  const warn = (msg) => {
-    if (warningTracker.has(msg)) return;
-    warningTracker.add(msg);
-    contentHealth.unresolvedWikiLinks.push(msg);
+function resolveWikiLinkTarget(rawTitle, resolve) {
+  const resolution = resolve(rawTitle);
+  return {
+    toId: resolution.status === "resolved" ? resolution.entry.id : null,
+    warning: formatResolutionWarning(rawTitle, resolution),
   };
+}
 
-  // 1. Exact title
-  const exact = titleIndex.get(rawTitle) || titleIndex.get(lower);
-  if (exact && exact.size === 1) {
-    return [...exact][0];
-  }
-  if (exact && exact.size > 1) {
-    warn(`Ambiguous link "${rawTitle}" → ${[...exact].join(", ")}`);
-    return null;
-  }
+/**
+ * Resolution keys whose owners changed since the previous run.
+ *
+ * A node that was added, removed, or whose keys (title, aliases, id,
+ * slug) changed contributes both its old and new keys. Any link looking
+ * up one of these keys must be re-resolved; every other cached
+ * resolution is still valid.
+ *
+ * @param {Record<string, string[]>} previousKeys  id -> keys (last run)
+ * @param {Record<string, string[]>} nextKeys      id -> keys (this run)
+ * @returns {Set<string>}
+ */
+function findDirtyKeys(previousKeys, nextKeys) {
+  const dirty = new Set();
+  const ids = new Set([...Object.keys(previousKeys), ...Object.keys(nextKeys)]);
 
-  // 2. Slugified match
-  const slugged = slugifyTitle(rawTitle);
-  const slugMatches = slugIndex.get(slugged);
-  if (slugMatches && slugMatches.size === 1) {
-    return [...slugMatches][0];
-  }
-  if (slugMatches && slugMatches.size > 1) {
-    warn(
-      `Ambiguous slug "${rawTitle}" (→ ${slugged}) → ${[
-        ...slugMatches,
-      ].join(", ")}`
-    );
-    return null;
+  for (const id of ids) {
+    const before = previousKeys[id] || [];
+    const after = nextKeys[id] || [];
+    if (before.join("\n") === after.join("\n")) continue;
+
+    for (const key of before) dirty.add(key);
+    for (const key of after) dirty.add(key);
   }
+  return dirty;
+}
 
-  // 3. Unresolved
-  warn(`Unresolved wiki-link "${rawTitle}"`);
-  return null;
+/**
+ * Record a broken "[[Note#Heading]]" / "[[Note#^block]]" fragment in
+ * contentHealth.brokenFragments.
+ */
+function checkFragment(fromNode, toNode, raw, contentHealth) {
+  const fragment = parseFragment(raw.fragment);
+  if (!fragment || !toNode || hasFragment(toNode, fragment)) return;
+
+  contentHealth.brokenFragments.push({
+    filePath: fromNode.filePath,
+    fromId: fromNode.id,
+    toId: toNode.id,
+    type: fragment.type,
+    anchor: fragment.anchor,
+    message: formatFragmentWarning(raw.targetTitle, raw.fragment, fragment),
+  });
 }
 
 // ====================================================================
@@ -502,41 +950,190 @@ function analyzeAliases(nodesById, contentHealth) {
   contentHealth.aliasConflicts = conflicts;
 }
 
+// ====================================================================
+// Unlinked mentions (for content health only)
+// ====================================================================
+
+/** Shorter titles and aliases ("AI", "Go") match too much to suggest */
+const MIN_MENTION_NAME = 3;
+
+/** Longest unlinked-mention excerpt, in characters */
+const UNLINKED_MENTION_LENGTH = 160;
+
+/**
+ * Find plain-text mentions of other notes' titles and aliases: places
+ * that could be a [[wiki-link]] but aren't. Matching ignores case and
+ * needs whole words; code, links and headings are skipped (see
+ * extractProseLines / plainTextOnly). A note is only suggested where it
+ * isn't linked from the file already, and names shared by several
+ * notes (see analyzeAliases) are left out.
+ *
+ * Results go into contentHealth.unlinkedMentions, one per file line and
+ * target, after the outbound links are built.
+ *
+ * @param {Map<string, NodeInternal>} nodesById
+ * @param {{ unlinkedMentions:any[] }} contentHealth
+ * @param {import("../lib/excerpt.js").TextOptions} [textOptions]
+ */
+function findUnlinkedMentions(nodesById, contentHealth, textOptions = {}) {
+  const key = (name) => name.trim().replace(/\s+/g, " ").toLowerCase();
+
+  /** @type {Map<string, Set<string>>} */
+  const idsByName = new Map(); // name (lowercase) -> ids of nodes it names
+  for (const [id, node] of nodesById) {
+    for (const name of [node.title, ...node.aliases]) {
+      const lower = key(name || "");
+      if (lower.length < MIN_MENTION_NAME) continue;
+      if (!idsByName.has(lower)) idsByName.set(lower, new Set());
+      idsByName.get(lower).add(id);
+    }
+  }
+
+  const names = [...idsByName.keys()]
+    .filter((name) => idsByName.get(name).size === 1)
+    // Longest first, so "Alpha Note" wins over "Alpha"
+    .sort((a, b) => b.length - a.length);
+  if (names.length === 0) return;
+
+  const pattern = names
+    .map((name) => name.replace(/[.*+?^${}()|[\]\\]/g, "\\$&").replace(/ /g, "\\s+"))
+    .join("|");
+  const matcher = new RegExp(`(?<![\\p{L}\\p{N}_])(?:${pattern})(?![\\p{L}\\p{N}_])`, "giu");
+
+  for (const [fromId, node] of nodesById) {
+    const linked = new Set(node.outboundLinks.map((link) => link.id));
+
+    for (const { line, text } of node.prose) {
+      const seen = new Set(); // one entry per target on a line
+      for (const match of plainTextOnly(text).matchAll(matcher)) {
+        const ids = idsByName.get(key(match[0]));
+        if (!ids) continue;
+        const [targetId] = ids;
+        if (targetId === fromId || linked.has(targetId) || seen.has(targetId)) continue;
+        seen.add(targetId);
+
+        const target = nodesById.get(targetId);
+        const end = match.index + match[0].length;
+        const matched = text.slice(match.index, end);
+        const { text: excerpt, mark } = mentionText(
+          { before: text.slice(0, match.index), link: matched, after: text.slice(end) },
+          UNLINKED_MENTION_LENGTH,
+          textOptions
+        );
+
+        contentHealth.unlinkedMentions.push({
+          fromId,
+          filePath: node.filePath,
+          line,
+          targetId,
+          targetTitle: target.title,
+          matched,
+          text: excerpt,
+          mark,
+          message: `"${matched}" could link to [[${target.title}]] (line ${line})`,
+        });
+      }
+    }
+  }
+}
+
 // ====================================================================
 // Build graph
 // ====================================================================
 
+/** Longest backlink context, in characters (a sentence or two) */
+const MENTION_LENGTH = 280;
+
 /**
  * Build outbound/inbound/chained links from rawLinks.
  *
+ * Links are only re-resolved when their file changed or when a key they
+ * look up belongs to a changed node (see findDirtyKeys); everything else
+ * reuses node.cachedResolved. Edges are then assembled in file order, so
+ * the output is identical to a full rebuild.
+ *
  * @param {Map<string, NodeInternal>} nodesById
  * @param {{
- *   unresolvedWikiLinks:string[],
+ *   unresolvedWikiLinks:any[],
+ *   brokenFragments:any[],
  *   aliasConflicts:any[],
+ *   unlinkedMentions:any[],
  *   orphans:any
  * }} contentHealth
- * @returns {NodeInternal[]} nodes with populated link arrays
+ * @param {Record<string, string[]>} previousNodeKeys  from the cache
+ * @param {UnpublishedNode[]} unpublished  link targets that are left out
+ *   on purpose: links to them are dropped, not reported
+ * @returns {{
+ *   nodes:NodeInternal[],
+ *   resolvedById:Map<string, ResolvedLink[]>,
+ *   nodeKeys:Record<string, string[]>,
+ * }} nodes with populated link arrays, plus what to cache for next run
  */
-function buildGraph(nodesById, contentHealth) {
-  const indices = buildIndices(nodesById);
+function buildGraph(nodesById, contentHealth, previousNodeKeys = {}, unpublished = []) {
+  const resolve = createWikiLinkResolver(nodesById.values());
+  const resolveUnpublished = createWikiLinkResolver(unpublished);
+  const isUnpublished = (targetTitle) =>
+    resolveUnpublished(targetTitle).status !== "unresolved";
+  // Mentions read like the rendered page: a private note's title never
+  // shows up in another note's backlink context
+  const resolvePrivate = createWikiLinkResolver(
+    unpublished.filter((node) => node.visibility === "private")
+  );
+  const isPrivateLink = (title) =>
+    resolve(title).status === "unresolved" && resolvePrivate(title).status !== "unresolved";
   const edges = [];
-  const warningTracker = new Set();
+  /** @type {Map<string, { target:string, message:string, sources:any[] }>} */
+  const unresolved = new Map(); // warning -> entry, one per distinct problem
+
+  /** @type {Record<string, string[]>} */
+  const nodeKeys = {};
+  for (const [id, node] of nodesById) {
+    nodeKeys[id] = nodeResolutionKeys(node);
+  }
+  const dirtyKeys = findDirtyKeys(previousNodeKeys, nodeKeys);
+
+  const isStale = (targetTitle) =>
+    targetResolutionKeys(targetTitle).some((key) => dirtyKeys.has(key));
+
+  /** @type {Map<string, ResolvedLink[]>} */
+  const resolvedById = new Map();
 
   // Resolve rawLinks into edges
   for (const [fromId, node] of nodesById) {
-    for (const raw of node.rawLinks) {
-      const toId = resolveWikiLinkTarget(
-        raw.targetTitle,
-        indices,
-        nodesById,
-        warningTracker,
-        contentHealth
-      );
-      if (!toId) continue;
-      if (toId === fromId) continue; // skip self-links if you don't want them
+    const cached = node.cachedResolved;
+    const reusable = cached && cached.length === node.rawLinks.length;
 
-      edges.push({ fromId, toId, origin: raw.origin });
-    }
+    const resolved = node.rawLinks.map((raw, i) =>
+      reusable && !isStale(raw.targetTitle)
+        ? cached[i]
+        : resolveWikiLinkTarget(raw.targetTitle, resolve)
+    );
+    resolvedById.set(fromId, resolved);
+
+    node.rawLinks.forEach((raw, i) => {
+      const { toId, warning } = resolved[i];
+
+      if (!toId && isUnpublished(raw.targetTitle)) return;
+
+      if (warning) {
+        if (!unresolved.has(warning)) {
+          const entry = { target: raw.targetTitle, message: warning, sources: [] };
+          unresolved.set(warning, entry);
+          contentHealth.unresolvedWikiLinks.push(entry);
+        }
+        const { sources } = unresolved.get(warning);
+        if (!sources.some((source) => source.fromId === fromId)) {
+          sources.push({ fromId, filePath: node.filePath });
+        }
+      }
+      if (!toId) return;
+
+      checkFragment(node, nodesById.get(toId), raw, contentHealth);
+
+      if (toId === fromId) return; // skip self-links if you don't want them
+
+      edges.push({ fromId, toId, origin: raw.origin, context: raw.context });
+    });
   }
 
   // Reset link arrays before populating
@@ -569,6 +1166,11 @@ function buildGraph(nodesById, contentHealth) {
     const from = toRef(edge.fromId, edge.origin);
     if (!to || !from) continue;
 
+    if (edge.context) {
+      const { heading, ...source } = edge.context;
+      from.context = { ...mentionText(source, MENTION_LENGTH, { isPrivateLink }), heading };
+    }
+
     fromNode.outboundLinks.push(to);
     toNode.inboundLinks.push(from);
 
@@ -580,6 +1182,9 @@ function buildGraph(nodesById, contentHealth) {
   // Analyze aliases (conflicts) now that all nodes exist
   analyzeAliases(nodesById, contentHealth);
 
+  // Plain-text mentions that could be links, now that links are known
+  findUnlinkedMentions(nodesById, contentHealth, { isPrivateLink });
+
   // Detect orphans
   const strictOrphans = [];
   const noInbound = [];
@@ -630,43 +1235,115 @@ function buildGraph(nodesById, contentHealth) {
   };
 
   // Stable order for deterministic JSON
-  return [...nodesById.values()].sort((a, b) => {
+  const nodes = [...nodesById.values()].sort((a, b) => {
     if (a.collection !== b.collection) {
       return a.collection.localeCompare(b.collection);
     }
     return a.slug.localeCompare(b.slug);
   });
+
+  return { nodes, resolvedById, nodeKeys };
 }
 
 // ====================================================================
 // Write JSON
 // ====================================================================
 
-async function writeJSON(files) {
-  const projectRoot = process.cwd();
+/**
+ * Write each file to src/data, skipping files whose contents are unchanged
+ * (so dev-mode regeneration doesn't trigger needless reloads).
+ *
+ * @returns {Promise<string[]>} names of the files actually written
+ */
+async function writeJSON(files, projectRoot, log) {
   const outDir = path.resolve(projectRoot, "src", "data");
   await fs.mkdir(outDir, { recursive: true });
 
+  const written = [];
   for (const { name, data } of files) {
     const outPath = path.join(outDir, name);
-    await fs.writeFile(outPath, JSON.stringify(data, null, 2), "utf8");
-    console.log(`[content-map] Wrote ${name}`);
+    const json = JSON.stringify(data, null, 2);
+
+    const previous = await fs.readFile(outPath, "utf8").catch(() => null);
+    if (previous === json) continue;
+
+    await fs.writeFile(outPath, json, "utf8");
+    written.push(name);
+    log(`Wrote ${name}`);
+  }
+  return written;
+}
+
+/**
+ * src/data/slug-history.json, or {} when there is none yet.
+ * @returns {Promise<Record<string, string[]>>}
+ */
+async function readSlugHistory(projectRoot) {
+  const historyPath = path.resolve(projectRoot, "src", "data", "slug-history.json");
+  try {
+    return JSON.parse(await fs.readFile(historyPath, "utf8"));
+  } catch (err) {
+    if (err.code === "ENOENT") return {};
+    throw new Error(`Can't read ${historyPath}: ${err.message}`);
   }
 }
 
 // ====================================================================
-// Entrypoint
+// Generate
 // ====================================================================
 
-async function main() {
-  console.log("[content-map] Generating content map…");
+const defaultLog = (msg) => console.log(`[content-map] ${msg}`);
+
+/**
+ * Build the content map, health report, related notes and chains,
+ * update the slug history, and write them all to src/data.
+ *
+ * Unchanged files are served from an on-disk cache keyed by content
+ * hash (node_modules/.cache/content-map); the output is byte-identical
+ * to a run with `cache: false`.
+ *
+ * @param {{
+ *   root?:string,
+ *   log?:(msg:string) => void,
+ *   cache?:boolean,
+ *   drafts?:boolean,
+ *   now?:Date,
+ * }} [options]
+ *   - root:   project root (defaults to process.cwd())
+ *   - log:    message sink (defaults to console with a [content-map] prefix)
+ *   - cache:  read the incremental cache (default true; it is always rewritten)
+ *   - drafts: include drafts and scheduled files (dev preview; default false)
+ *   - now:    when scheduled files go live (defaults to the current time)
+ * @returns {Promise<{
+ *   contentMap:any[],
+ *   contentHealth:any,
+ *   slugHistory:Record<string, string[]>,
+ *   unpublished:UnpublishedNode[],
+ *   written:string[],
+ * }>}
+ */
+export async function generateContentMap(options = {}) {
+  const {
+    root = process.cwd(),
+    log = defaultLog,
+    cache = true,
+    drafts = false,
+    now = new Date(),
+  } = options;
+
+  const previousCache = cache ? await readCache(root) : emptyCache();
+  const nextCache = emptyCache();
 
   const contentHealth = {
     badFiles: [],
     unresolvedWikiLinks: [],
+    brokenFragments: [],
     idCollisions: [],
     missingCuids: [],
     aliasConflicts: [],
+    unlinkedMentions: [],
+    chainCycles: [],
+    tagSlugClashes: [],
     orphans: {
       strict: [],
       noInbound: [],
@@ -674,36 +1351,334 @@ async function main() {
     },
   };
 
-  const nodesById = await loadContentNodes(contentHealth);
-  const nodes = buildGraph(nodesById, contentHealth);
-
-  await writeJSON([
-    {
-      name: "content-map.json",
-      data: nodes.map((n) => ({
-        id: n.id,
-        cuid: n.cuid,
-        slug: n.slug,
-        collection: n.collection,
-        title: n.title,
-        description: n.description,
-        tags: n.tags,
-        aliases: n.aliases,
-        outboundLinks: n.outboundLinks,
-        inboundLinks: n.inboundLinks,
-        chainedLinks: n.chainedLinks,
-      })),
-    },
-    {
-      name: "content-health.json",
-      data: contentHealth,
-    },
-  ]);
+  const { nodesById, unpublished } = await loadContentNodes(
+    contentHealth,
+    root,
+    previousCache,
+    nextCache,
+    { drafts, now }
+  );
+  const { nodes, resolvedById, nodeKeys } = buildGraph(
+    nodesById,
+    contentHealth,
+    previousCache.nodeKeys,
+    unpublished
+  );
+
+  for (const [id, resolved] of resolvedById) {
+    nextCache.files[nodesById.get(id).filePath].resolved = resolved;
+  }
+  nextCache.nodeKeys = nodeKeys;
+  await writeCache(root, nextCache);
+
+  const contentMap = nodes.map((n) => ({
+    id: n.id,
+    cuid: n.cuid,
+    slug: n.slug,
+    collection: n.collection,
+    title: n.title,
+    description: n.description,
+    tags: n.tags,
+    aliases: n.aliases,
+    headings: n.headings,
+    blockIds: n.blockIds,
+    filePath: n.filePath,
+    outboundLinks: n.outboundLinks,
+    inboundLinks: n.inboundLinks,
+    chainedLinks: n.chainedLinks,
+  }));
+
+  const pageNodes = nodes.filter((n) => isPageCollection(n.collection));
+
+  // Separate from content-map.json: body edits change scores, and the
+  // map's digest is what invalidates every cached markdown render.
+  const related = computeRelated(pageNodes);
+
+  const { chains, cycles } = buildChains(pageNodes);
+  contentHealth.chainCycles.push(...cycles);
+
+  // The same pages src/lib/tag-index.ts builds /tags/ from
+  const { clashes } = tagsBySlug(buildTagTaxonomy(pageNodes));
+  contentHealth.tagSlugClashes = clashes.map((clash) => ({
+    ...clash,
+    message: `Tags "${clash.dropped}" and "${clash.kept}" share /tags/${clash.slug}/; only "${clash.kept}" gets a page`,
+    filePaths: pageNodes.filter((n) => hasTag(n.tags, clash.dropped)).map((n) => n.filePath),
+  }));
+
+  // Checked in like the map itself: it is the only record of old URLs
+  const slugHistory = updateSlugHistory(await readSlugHistory(root), contentMap);
+
+  const written = await writeJSON(
+    [
+      { name: "content-map.json", data: contentMap },
+      { name: "content-health.json", data: contentHealth },
+      { name: "related.json", data: related },
+      { name: "chains.json", data: chains },
+      { name: "slug-history.json", data: slugHistory },
+    ],
+    root,
+    log
+  );
+
+  return { contentMap, contentHealth, slugHistory, unpublished, written };
+}
+
+// ====================================================================
+// CUID assignment
+// ====================================================================
+
+/**
+ * CUIDs follow the shape of the vault's Obsidian template
+ * ({{date:YYYYMMDD}}{{time:HHmmss}}), in UTC: a date-only `date: 2024-01-05`
+ * is parsed as UTC midnight and must give 20240105000000 on every machine.
+ */
+function formatCuid(date) {
+  const pad = (n) => String(n).padStart(2, "0");
+  return (
+    `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}` +
+    `${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}`
+  );
+}
+
+/**
+ * When a note was written: its `date` frontmatter (`pubDate` on posts),
+ * else the file's creation time (modification time where the filesystem
+ * has none).
+ */
+async function createdAt(fm, absPath) {
+  const date = fm.date ?? fm.pubDate;
+  const fromFrontmatter = date instanceof Date ? date : new Date(date ?? NaN);
+  if (!Number.isNaN(fromFrontmatter.getTime())) return fromFrontmatter;
+
+  const stat = await fs.stat(absPath);
+  return stat.birthtimeMs > 0 ? stat.birthtime : stat.mtime;
+}
+
+/**
+ * `content` with `cuid: "<cuid>"` in its frontmatter. An existing `cuid:`
+ * line (empty, or a value YAML doesn't read as a string) is replaced,
+ * otherwise the key is added as the last field; no other byte of the
+ * file changes. Files without frontmatter get one.
+ *
+ * @returns {{ content:string, before:string[], after:string[] }}
+ *   the new file, plus the frontmatter lines before / after for diffs
+ */
+function withCuid(content, cuid) {
+  const eol = content.includes("\r\n") ? "\r\n" : "\n";
+  const line = `cuid: "${cuid}"`;
+
+  const open = /^---[ \t]*\r?\n/.exec(content);
+  const close = open && /^---[ \t]*$/m.exec(content.slice(open[0].length));
+  if (!open || !close) {
+    const added = ["---", line, "---"];
+    return { content: added.join(eol) + eol + content, before: [], after: added };
+  }
+
+  const start = open[0].length;
+  const end = start + close.index;
+  const block = content.slice(start, end);
+
+  const existing = /^cuid:.*$/m;
+  const nextBlock = existing.test(block)
+    ? block.replace(existing, line)
+    : `${block}${line}${eol}`;
+
+  const lines = (text) => ["---", ...text.split(/\r?\n/).slice(0, -1), "---"];
+  return {
+    content: content.slice(0, start) + nextBlock + content.slice(end),
+    before: lines(block),
+    after: lines(nextBlock),
+  };
+}
+
+/** Unified diff of a frontmatter change (frontmatter starts at line 1). */
+function frontmatterDiff(filePath, before, after) {
+  let prefix = 0;
+  while (prefix < before.length && before[prefix] === after[prefix]) prefix++;
+  let suffix = 0;
+  while (
+    suffix < before.length - prefix &&
+    suffix < after.length - prefix &&
+    before[before.length - 1 - suffix] === after[after.length - 1 - suffix]
+  ) {
+    suffix++;
+  }
+
+  return [
+    `--- a/${filePath}`,
+    `+++ b/${filePath}`,
+    `@@ -${before.length === 0 ? 0 : 1},${before.length} +1,${after.length} @@`,
+    ...before.slice(0, prefix).map((l) => ` ${l}`),
+    ...before.slice(prefix, before.length - suffix).map((l) => `-${l}`),
+    ...after.slice(prefix, after.length - suffix).map((l) => `+${l}`),
+    ...before.slice(before.length - suffix).map((l) => ` ${l}`),
+  ].join("\n");
+}
+
+/**
+ * Write a cuid into the frontmatter of every note that lacks one, so its
+ * id (and the slug history, see src/lib/slug-history.js) survives
+ * renames. Files are handled in path order; a timestamp already in use
+ * is moved forward a second at a time until it is unique.
+ *
+ * @param {{
+ *   root?:string,
+ *   dryRun?:boolean,
+ *   collections?:readonly string[],
+ *   log?:(msg:string) => void,
+ * }} [options]
+ *   - root:        project root (defaults to process.cwd())
+ *   - dryRun:      don't write; each result carries the frontmatter diff
+ *   - collections: vault folders to touch (defaults to PAGE_COLLECTIONS;
+ *                  _templates and friends hold placeholders, not notes)
+ *   - log:         message sink (defaults to console with a [content-map] prefix)
+ * @returns {Promise<Array<{ filePath:string, cuid:string, diff?:string }>>}
+ *   assigned (or would-be) cuids; `diff` on dry runs
+ */
+export async function assignCuids(options = {}) {
+  const {
+    root = process.cwd(),
+    dryRun = false,
+    collections = PAGE_COLLECTIONS,
+    log = defaultLog,
+  } = options;
+
+  const files = (await findContentFiles(root)).sort((a, b) =>
+    a.absPath.localeCompare(b.absPath)
+  );
+
+  const used = new Set();
+  const missing = [];
 
-  console.log("[content-map] Done.");
+  for (const { absPath, filePath, pathParts } of files) {
+    const content = await fs.readFile(absPath, "utf8");
+
+    let fm;
+    try {
+      fm = matter(content).data || {};
+    } catch (err) {
+      log(`Skipping ${filePath}: frontmatter parse error: ${err.message}`);
+      continue;
+    }
+
+    const cuid = normalizeOptionalString(fm.cuid);
+    if (cuid) {
+      used.add(cuid);
+      continue;
+    }
+    if (!collections.includes(pathParts[0])) continue;
+
+    // `cuid: 20250215182714` reads as a number, which the generator
+    // ignores; keep the value and quote it
+    if (typeof fm.cuid === "number" && Number.isSafeInteger(fm.cuid)) {
+      used.add(String(fm.cuid));
+      missing.push({ absPath, filePath, content, fm, keep: String(fm.cuid) });
+    } else {
+      missing.push({ absPath, filePath, content, fm });
+    }
+  }
+
+  const assigned = [];
+  for (const { absPath, filePath, content, fm, keep } of missing) {
+    let cuid = keep;
+    if (!cuid) {
+      const at = new Date(await createdAt(fm, absPath));
+      cuid = formatCuid(at);
+      while (used.has(cuid)) {
+        at.setSeconds(at.getSeconds() + 1);
+        cuid = formatCuid(at);
+      }
+      used.add(cuid);
+    }
+
+    const change = withCuid(content, cuid);
+    if (dryRun) {
+      assigned.push({ filePath, cuid, diff: frontmatterDiff(filePath, change.before, change.after) });
+    } else {
+      await fs.writeFile(absPath, change.content, "utf8");
+      assigned.push({ filePath, cuid });
+    }
+  }
+
+  log(
+    dryRun
+      ? `Would assign ${assigned.length} CUIDs (dry run, nothing written)`
+      : `Assigned ${assigned.length} CUIDs`
+  );
+  return assigned;
+}
+
+// ====================================================================
+// CLI entrypoint
+// ====================================================================
+
+/**
+ * `assign-cuids [--dry-run] [--collection=notes,essays]`
+ */
+async function assignCuidsCommand(args) {
+  const dryRun = args.includes("--dry-run");
+  const collectionArg = args.find((arg) => arg.startsWith("--collection="));
+  const collections = collectionArg
+    ? collectionArg.slice("--collection=".length).split(",").map((c) => c.trim()).filter(Boolean)
+    : PAGE_COLLECTIONS;
+
+  const assigned = await assignCuids({ dryRun, collections });
+  if (dryRun) {
+    for (const { diff } of assigned) console.log(diff);
+    return;
+  }
+  if (assigned.length === 0) return;
+
+  // New ids (and the first slug-history entries) for the notes just changed
+  defaultLog("Generating content map…");
+  await generateContentMap();
+  defaultLog("Done.");
 }
 
-main().catch((err) => {
-  console.error("[content-map] Fatal error:", err);
-  process.exit(1);
-});
+async function main() {
+  const args = process.argv.slice(2);
+
+  if (args[0] === "assign-cuids") return assignCuidsCommand(args.slice(1));
+
+  let thresholds;
+  try {
+    thresholds = thresholdsFromArgs(args);
+  } catch (err) {
+    console.error(`[content-map] ${err.message}`);
+    process.exitCode = 2;
+    return;
+  }
+
+  defaultLog("Generating content map…");
+  // --no-cache forces a full rebuild (the cache is still refreshed)
+  const { contentHealth } = await generateContentMap({
+    cache: !args.includes("--no-cache"),
+  });
+
+  if (thresholds) {
+    const failures = checkHealth(contentHealth, thresholds);
+    for (const { key, label, count, max } of failures) {
+      console.error(`[content-map] ${label} (${key}): ${count} found, ${max} allowed`);
+    }
+    if (failures.length > 0) {
+      console.error("[content-map] Content health check failed; see src/data/content-health.json");
+      process.exitCode = 1;
+      return;
+    }
+    defaultLog("Content health check passed.");
+  }
+  defaultLog("Done.");
+}
+
+// Only run when executed directly (`node generate-content-map.mjs`),
+// not when imported by the integration.
+const isDirectRun =
+  process.argv[1] &&
+  path.resolve(process.argv[1]) === fileURLToPath(import.meta.url);
+
+if (isDirectRun) {
+  main().catch((err) => {
+    console.error("[content-map] Fatal error:", err);
+    process.exit(1);
+  });
+}
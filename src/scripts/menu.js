@@ -1,6 +1,87 @@
-const menu = document.querySelector('.menu');
+// src/scripts/menu.js
+// The header menu on narrow screens (src/components/navs/NavMain.astro).
+// The .menu button opens the link list it controls; while it's open,
+// Tab stays inside the menu, Escape or a click outside closes it, and the
+// page behind doesn't scroll. On wide screens the links are always shown
+// and the button is hidden.
+//
+// Without JS the button stays hidden and the links are always listed;
+// `data-menu-ready` on the nav switches to the collapsed layout.
 
-menu?.addEventListener('click', () => {
-  const isExpanded = menu.getAttribute('aria-expanded') === 'true';
-  menu.setAttribute('aria-expanded', `${!isExpanded}`);
-});
\ No newline at end of file
+const OPEN_CLASS = "nav-main--open";
+// Keep in sync with the breakpoint in NavMain.astro
+const WIDE = window.matchMedia("(min-width: 48rem)");
+
+const FOCUSABLE = 'a[href], button:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+/** @param {HTMLElement} nav */
+function setupMenu(nav) {
+  const button = nav.querySelector(".menu");
+  const panel = button && document.getElementById(button.getAttribute("aria-controls") ?? "");
+  if (!(button instanceof HTMLButtonElement) || !panel) return;
+
+  const isOpen = () => button.getAttribute("aria-expanded") === "true";
+
+  /** What Tab cycles through while open: the button, then the links */
+  const focusables = () => [
+    button,
+    ...[...panel.querySelectorAll(FOCUSABLE)].filter((el) => el instanceof HTMLElement),
+  ];
+
+  /** @param {KeyboardEvent} event */
+  function onKeydown(event) {
+    if (event.key === "Escape") {
+      event.preventDefault();
+      close();
+      button.focus();
+      return;
+    }
+    if (event.key !== "Tab") return;
+
+    const items = focusables();
+    const index = items.indexOf(/** @type {HTMLElement} */ (document.activeElement));
+    const next = event.shiftKey
+      ? index <= 0 ? items.length - 1 : index - 1
+      : index === items.length - 1 ? 0 : index + 1;
+    event.preventDefault();
+    items[next].focus();
+  }
+
+  /** @param {PointerEvent} event */
+  function onPointerdown(event) {
+    if (event.target instanceof Node && !nav.contains(event.target)) close();
+  }
+
+  function open() {
+    button.setAttribute("aria-expanded", "true");
+    nav.classList.add(OPEN_CLASS);
+    document.documentElement.classList.add("menu-open");
+    document.addEventListener("keydown", onKeydown);
+    document.addEventListener("pointerdown", onPointerdown);
+    focusables()[1]?.focus();
+  }
+
+  function close() {
+    if (!isOpen()) return;
+    button.setAttribute("aria-expanded", "false");
+    nav.classList.remove(OPEN_CLASS);
+    document.documentElement.classList.remove("menu-open");
+    document.removeEventListener("keydown", onKeydown);
+    document.removeEventListener("pointerdown", onPointerdown);
+  }
+
+  button.addEventListener("click", () => (isOpen() ? close() : open()));
+  // Following a link (even to an anchor on this page) closes the menu
+  panel.addEventListener("click", (event) => {
+    if (event.target instanceof Element && event.target.closest("a")) close();
+  });
+  // Growing past the breakpoint shows the links inline
+  WIDE.addEventListener("change", (event) => event.matches && close());
+
+  button.hidden = false;
+  nav.dataset.menuReady = "";
+}
+
+document.querySelectorAll("[data-menu]").forEach((nav) => {
+  if (nav instanceof HTMLElement) setupMenu(nav);
+});
@@ -0,0 +1,85 @@
+// src/scripts/search-ui.js
+// Browser side of search, shared by the search page (src/pages/search.astro)
+// and the command palette (src/components/SearchPalette.astro): loads
+// /search-index.json once and renders results with highlighted snippets.
+
+import { highlight, searchIndex, snippet } from "../lib/search.js";
+
+const INDEX_URL = "/search-index.json";
+
+/** @type {Promise<import("../lib/search.js").SearchIndex> | null} */
+let indexPromise = null;
+
+/** The index, fetched on first use and shared by every caller */
+export function loadSearchIndex() {
+  indexPromise ??= fetch(INDEX_URL).then((res) => {
+    if (!res.ok) throw new Error(`Search index: HTTP ${res.status}`);
+    return res.json();
+  });
+  // A failed fetch can be retried on the next query
+  indexPromise.catch(() => {
+    indexPromise = null;
+  });
+  return indexPromise;
+}
+
+/**
+ * @param {string} query
+ * @param {{ limit?:number }} [options]
+ */
+export async function search(query, options) {
+  return searchIndex(await loadSearchIndex(), query, options);
+}
+
+export const resultUrl = (doc) => `/${doc.collection}/${doc.slug}/`;
+
+function element(tag, className, text) {
+  const el = document.createElement(tag);
+  el.className = className;
+  if (text) el.textContent = text;
+  return el;
+}
+
+/** Segments from highlight()/snippet() as text and <mark> nodes */
+function segmentsToNodes(segments) {
+  return segments.map(({ text, hit }) => {
+    if (!hit) return document.createTextNode(text);
+    const mark = document.createElement("mark");
+    mark.textContent = text;
+    return mark;
+  });
+}
+
+/**
+ * One result: title and snippet with the query's words marked, plus a
+ * collection pill (same look as LinkSection).
+ *
+ * @param {import("../lib/search.js").SearchResult} result
+ * @param {string} query
+ * @returns {HTMLAnchorElement}
+ */
+export function renderResult({ doc }, query) {
+  const link = element("a", "search-result");
+  link.href = resultUrl(doc);
+
+  const title = element("span", "search-result__title");
+  title.append(...segmentsToNodes(highlight(doc.title, query)));
+
+  const meta = element("span", "search-result__meta");
+  meta.append(element("span", "search-result__pill", doc.collection));
+
+  // Say why an alias-only match showed up
+  const alias = doc.aliases.find((a) => highlight(a, query).some((s) => s.hit));
+  if (alias && !highlight(doc.title, query).some((s) => s.hit)) {
+    meta.append(element("span", "search-result__alias", `also known as ${alias}`));
+  }
+
+  link.append(title, meta);
+
+  if (doc.text) {
+    const excerpt = element("span", "search-result__snippet");
+    excerpt.append(...segmentsToNodes(snippet(doc.text, query)));
+    link.append(excerpt);
+  }
+  return link;
+}